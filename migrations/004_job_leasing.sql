@@ -0,0 +1,8 @@
+-- Add lease columns so several workers can share one jobs table
+-- A worker claims a job by setting lease_owner and lease_expires_at in a single UPDATE
+-- and keeps the lease alive with heartbeats while the job is processed.
+ALTER TABLE jobs ADD COLUMN lease_owner TEXT;
+ALTER TABLE jobs ADD COLUMN lease_expires_at TEXT;
+
+-- Index to quickly find leases held by a worker or expired leases
+CREATE INDEX IF NOT EXISTS idx_jobs_lease ON jobs(lease_owner, lease_expires_at);
@@ -0,0 +1,19 @@
+-- Store the next attempt time per job instead of deriving a fixed 2^n minutes backoff
+-- The worker computes next_attempt_at from the workflow step's retry policy.
+ALTER TABLE jobs ADD COLUMN next_attempt_at TEXT;
+
+-- Keep the backoff of jobs that are already waiting for a retry
+UPDATE jobs
+SET next_attempt_at = strftime('%Y-%m-%dT%H:%M:%fZ', last_retry, '+' || (1 << retry_count) || ' minutes')
+WHERE retry_count > 0
+  AND last_retry IS NOT NULL;
+
+-- Recreate ready_at on top of next_attempt_at (generated columns cannot be altered in place)
+DROP INDEX IF EXISTS idx_jobs_readyat_status_created;
+ALTER TABLE jobs DROP COLUMN ready_at;
+ALTER TABLE jobs ADD COLUMN ready_at TEXT GENERATED ALWAYS AS (
+  COALESCE(next_attempt_at, created_at)
+) VIRTUAL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_readyat_status_created ON jobs(ready_at, status, created_at)
+WHERE status = 'pending' OR status LIKE 'ready-for-%';
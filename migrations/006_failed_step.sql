@@ -0,0 +1,2 @@
+-- Remember which workflow step (its waiting state) failed, so an errored job can be resumed from there
+ALTER TABLE jobs ADD COLUMN failed_step TEXT;
@@ -0,0 +1,8 @@
+-- Job priorities and per-client fair scheduling
+-- Higher priority runs first; within one priority level the client that was served least recently goes first.
+ALTER TABLE jobs ADD COLUMN priority INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE jobs ADD COLUMN client TEXT;
+ALTER TABLE jobs ADD COLUMN last_claimed_at TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_client_claimed ON jobs(client, last_claimed_at);
+CREATE INDEX IF NOT EXISTS idx_jobs_ready_priority_created ON jobs(ready, priority, created_at);
@@ -0,0 +1,16 @@
+-- Delayed and scheduled job execution
+-- run_at holds the earliest time a job may start; ready_at now also honours it.
+ALTER TABLE jobs ADD COLUMN run_at TEXT;
+
+-- Recreate ready_at on top of run_at (generated columns cannot be altered in place)
+DROP INDEX IF EXISTS idx_jobs_readyat_status_created;
+ALTER TABLE jobs DROP COLUMN ready_at;
+ALTER TABLE jobs ADD COLUMN ready_at TEXT GENERATED ALWAYS AS (
+  COALESCE(next_attempt_at, run_at, created_at)
+) VIRTUAL;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_readyat_status_created ON jobs(ready_at, status, created_at)
+WHERE status = 'pending' OR status LIKE 'ready-for-%';
+
+CREATE INDEX IF NOT EXISTS idx_jobs_run_at ON jobs(run_at)
+WHERE run_at IS NOT NULL;
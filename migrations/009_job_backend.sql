@@ -0,0 +1,6 @@
+-- Automatic1111 backend pool: the backend a job currently occupies.
+-- A slot counts as busy while the job holds a valid lease, so slots of crashed workers free up automatically.
+ALTER TABLE jobs ADD COLUMN backend TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_backend ON jobs(backend)
+WHERE backend IS NOT NULL;
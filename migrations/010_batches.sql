@@ -0,0 +1,20 @@
+-- Batches group generation jobs that were submitted together
+-- status stays 'pending' until every job of the batch is finished, then becomes
+-- completed, partial, error or canceled and the batch webhook (if any) is queued once.
+CREATE TABLE IF NOT EXISTS batches
+(
+    uuid         TEXT
+        primary key,
+    status       TEXT    not null,
+    total        INTEGER not null,
+    webhookUrl   TEXT,
+    webhookKey   TEXT,
+    created_at   TEXT    not null,
+    completed_at TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_batches_completed_at ON batches(completed_at);
+
+ALTER TABLE jobs ADD COLUMN batch_uuid TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_jobs_batch_uuid ON jobs(batch_uuid);
@@ -0,0 +1,3 @@
+-- A batch can hold back a follow-up job (e.g. the XY-grid composition) that is released
+-- into the queue once every job of the batch is finished
+ALTER TABLE batches ADD COLUMN final_job_uuid TEXT;
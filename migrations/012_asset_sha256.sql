@@ -0,0 +1,2 @@
+-- SHA256 of the downloaded asset file (lowercase hex), verified against the published hash when one is known
+ALTER TABLE assets ADD COLUMN sha256 TEXT;
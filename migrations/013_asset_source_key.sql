@@ -0,0 +1,26 @@
+-- Deduplicate asset downloads: source_key identifies where an asset came from,
+-- "civitai:<modelVersionId>" for CivitAI versions and the download URL for everything else.
+ALTER TABLE assets ADD COLUMN source_key TEXT;
+
+UPDATE assets
+SET source_key = CASE
+    WHEN source_url LIKE '%civitai.com%' AND instr(source_url, 'modelVersionId=') > 0 THEN
+        'civitai:' || CASE
+            WHEN instr(substr(source_url, instr(source_url, 'modelVersionId=') + 15), '&') > 0 THEN
+                substr(substr(source_url, instr(source_url, 'modelVersionId=') + 15), 1,
+                       instr(substr(source_url, instr(source_url, 'modelVersionId=') + 15), '&') - 1)
+            ELSE substr(source_url, instr(source_url, 'modelVersionId=') + 15)
+        END
+    ELSE source_url
+END;
+
+-- Copies downloaded before this migration keep their rows; only the oldest asset of a source owns the key
+UPDATE assets
+SET source_key = NULL
+WHERE id NOT IN (SELECT MIN(id) FROM assets GROUP BY source_key);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_source_key ON assets(source_key)
+WHERE source_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_assets_sha256 ON assets(sha256)
+WHERE sha256 IS NOT NULL;
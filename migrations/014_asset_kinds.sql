@@ -0,0 +1,47 @@
+-- More asset kinds: embeddings (textual inversions), VAEs, hypernetworks, ControlNet and upscaler models.
+-- SQLite cannot change a CHECK constraint, so the assets table is rebuilt with the wider one.
+-- Foreign keys are on and PRAGMA foreign_keys is ignored inside the migration transaction, so dropping the
+-- old table cascades into assets_images: the image rows are set aside first and restored after the rebuild.
+CREATE TEMP TABLE assets_images_backup AS
+SELECT id, asset_id, url, is_nsfw, width, height, meta, created_at
+FROM assets_images;
+
+create table assets_new
+(
+    id             INTEGER
+        primary key autoincrement,
+    kind           TEXT           not null,
+    name           TEXT,
+    source_url     TEXT           not null,
+    example_prompt TEXT,
+    min            REAL default 1 not null,
+    max            REAL default 1 not null,
+    local_path     TEXT,
+    created_at     TEXT           not null,
+    updated_at     TEXT           not null,
+    sha256         TEXT,
+    source_key     TEXT,
+    check (kind IN ('model', 'lora', 'embedding', 'vae', 'hypernetwork', 'controlnet', 'upscaler'))
+);
+
+INSERT INTO assets_new (id, kind, name, source_url, example_prompt, min, max, local_path, created_at, updated_at, sha256, source_key)
+SELECT id, kind, name, source_url, example_prompt, min, max, local_path, created_at, updated_at, sha256, source_key
+FROM assets;
+
+DROP TABLE assets;
+ALTER TABLE assets_new RENAME TO assets;
+
+INSERT INTO assets_images (id, asset_id, url, is_nsfw, width, height, meta, created_at)
+SELECT id, asset_id, url, is_nsfw, width, height, meta, created_at
+FROM assets_images_backup;
+
+DROP TABLE assets_images_backup;
+
+create index IF NOT EXISTS idx_assets_kind
+    on assets (kind);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_source_key ON assets(source_key)
+WHERE source_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_assets_sha256 ON assets(sha256)
+WHERE sha256 IS NOT NULL;
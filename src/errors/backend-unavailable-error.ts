@@ -0,0 +1,5 @@
+class BackendUnavailableError extends Error {
+  readonly isBackendUnavailable = true;
+}
+
+export default BackendUnavailableError;
@@ -0,0 +1,5 @@
+class CanceledError extends Error {
+  readonly isCanceled = true;
+}
+
+export default CanceledError;
@@ -0,0 +1,5 @@
+class LeaseLostError extends Error {
+  readonly isLeaseLost = true;
+}
+
+export default LeaseLostError;
@@ -0,0 +1,5 @@
+class StepTimeoutError extends Error {
+  readonly isTimeout = true;
+}
+
+export default StepTimeoutError;
@@ -0,0 +1,11 @@
+class WorkflowConfigError extends Error {
+  readonly isWorkflowConfig = true;
+  readonly problems: string[];
+
+  constructor(problems: string[]) {
+    super(`Invalid workflow configuration:\n  - ${problems.join('\n  - ')}`);
+    this.problems = problems;
+  }
+}
+
+export default WorkflowConfigError;
@@ -1,32 +1,180 @@
 // Lightweight Automatic1111 Web UI API client
 // Uses Node 18+ global fetch (Node 20+/24 in this project) — no extra deps
 
+const createLogger = require('./logger');
+const {default: BackendUnavailableError} = require('../errors/backend-unavailable-error');
+const log = createLogger('lib:a1111');
+
 const DEFAULT_TIMEOUT_MS =  process.env.AUTOMATIC1111_API_TIMEOUT_MS || 60_000;
+// Circuit breaker: open after this many consecutive failures, probe every HEALTH_INTERVAL_MS
+const CIRCUIT_FAILURE_THRESHOLD = Number(process.env.AUTOMATIC1111_CIRCUIT_FAILURES) || 3;
+const HEALTH_INTERVAL_MS = Number(process.env.AUTOMATIC1111_HEALTH_INTERVAL_MS) || 15_000;
+const PROBE_TIMEOUT_MS = 5_000;
+// Responses that say the backend itself is down or overloaded. Other 5xx answers to generation requests
+// usually come from the request (unknown sampler, missing checkpoint, out of memory) and fail only that job.
+const UNHEALTHY_STATUSES = [502, 503, 504];
+
+function trimBase(base) {
+  return String(base || '').replace(/\/$/, ''); // trim trailing slash
+}
+
+// Backend pool configuration.
+// AUTOMATIC1111_BACKENDS is a JSON array of { name, url, capacity?, tags? }, e.g.
+//   [{"name":"gpu1","url":"http://gpu1:7860","capacity":1,"tags":["sdxl","ponyDiffusionV6XL"]}]
+// Without it, AUTOMATIC1111_API_BASE is used as a single backend named "default".
+let cachedBackends = null;
+
+function getBackends() {
+  if (cachedBackends) return cachedBackends;
+
+  const raw = process.env.AUTOMATIC1111_BACKENDS || '';
+  let backends = [];
+  if (raw.trim()) {
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`AUTOMATIC1111_BACKENDS is not valid JSON: ${e.message}`);
+    }
+    if (!Array.isArray(parsed)) throw new Error('AUTOMATIC1111_BACKENDS must be a JSON array');
+    backends = parsed.map((b, idx) => ({
+      name: String(b?.name || `backend-${idx + 1}`),
+      baseUrl: trimBase(b?.url),
+      capacity: Math.max(1, Number(b?.capacity) || 1),
+      tags: Array.isArray(b?.tags) ? b.tags.map(String) : [],
+    })).filter((b) => b.baseUrl);
+  } else if (process.env.AUTOMATIC1111_API_BASE) {
+    backends = [{name: 'default', baseUrl: trimBase(process.env.AUTOMATIC1111_API_BASE), capacity: 1, tags: []}];
+  }
+
+  cachedBackends = backends;
+  return backends;
+}
+
+function isConfigured() {
+  return getBackends().length > 0;
+}
+
+function getBackend(name) {
+  return getBackends().find((b) => b.name === name) || null;
+}
+
+/**
+ * Orders the backends that can serve a generation request, best match first.
+ * - request.backend_tags: tags every candidate must carry (hard requirement)
+ * - override_settings.sd_model_checkpoint: backends tagged with that checkpoint are preferred
+ */
+function rankBackends(request = {}) {
+  const required = Array.isArray(request?.backend_tags) ? request.backend_tags.map(String) : [];
+  const checkpoint = request?.override_settings?.sd_model_checkpoint;
+  return getBackends()
+    .filter((b) => required.every((tag) => b.tags.includes(tag)))
+    .map((b, idx) => ({b, idx, preferred: checkpoint && b.tags.includes(String(checkpoint)) ? 0 : 1}))
+    .sort((x, y) => x.preferred - y.preferred || x.idx - y.idx)
+    .map(({b}) => b);
+}
 
-function getBaseUrl() {
-  const base = process.env.AUTOMATIC1111_API_BASE || '';
-  return base.replace(/\/$/, ''); // trim trailing slash
+// `backend` picks a pool member (object or name); defaults to the first configured backend
+function resolveBackend(backend) {
+  return typeof backend === 'string' ? getBackend(backend) : (backend || getBackends()[0] || null);
 }
 
-async function doFetch(path, { method = 'GET', body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
-  const base = getBaseUrl();
-  if (!base) throw new Error('AUTOMATIC1111_API_BASE is not configured');
+// Per-backend circuit state, local to this process (server and worker each run their own probes).
+// closed: requests pass; open: requests fail fast with BackendUnavailableError until a probe succeeds.
+const healthByBackend = new Map();
+
+function getHealthState(name) {
+  if (!healthByBackend.has(name)) {
+    healthByBackend.set(name, {state: 'closed', failures: 0, lastError: null, lastCheckAt: null, openedAt: null});
+  }
+  return healthByBackend.get(name);
+}
+
+function recordSuccess(backend) {
+  const health = getHealthState(backend.name);
+  if (health.state === 'open') log.info('Automatic1111 backend recovered:', backend.name);
+  health.state = 'closed';
+  health.failures = 0;
+  health.openedAt = null;
+  health.lastCheckAt = new Date().toISOString();
+}
+
+function recordFailure(backend, error) {
+  const health = getHealthState(backend.name);
+  health.failures += 1;
+  health.lastError = error?.message || String(error);
+  health.lastCheckAt = new Date().toISOString();
+  if (health.state === 'closed' && health.failures >= CIRCUIT_FAILURE_THRESHOLD) {
+    health.state = 'open';
+    health.openedAt = health.lastCheckAt;
+    log.warn('Automatic1111 backend unhealthy, opening circuit:', backend.name, health.lastError);
+  }
+}
+
+function isAvailable(backend) {
+  const selected = resolveBackend(backend);
+  return !!selected && getHealthState(selected.name).state !== 'open';
+}
+
+function hasAvailableBackend() {
+  return getBackends().some((b) => isAvailable(b));
+}
+
+function getHealth() {
+  return getBackends().map((b) => {
+    const health = getHealthState(b.name);
+    return {
+      name: b.name,
+      url: b.baseUrl,
+      capacity: b.capacity,
+      tags: b.tags,
+      state: health.state,
+      failures: health.failures,
+      last_error: health.lastError,
+      last_check_at: health.lastCheckAt,
+      opened_at: health.openedAt,
+    };
+  });
+}
+
+// `signal` lets callers (e.g. the worker's step timeout or cancellation) abort the request early.
+// `probe` requests bypass an open circuit; they are how a backend gets marked healthy again.
+async function doFetch(path, { method = 'GET', body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, signal, backend, probe = false } = {}) {
+  const selected = resolveBackend(backend);
+  if (!selected) throw new Error('AUTOMATIC1111_API_BASE is not configured');
+  if (!probe && !isAvailable(selected)) {
+    throw new BackendUnavailableError(`Automatic1111 backend "${selected.name}" is unavailable`);
+  }
 
   const controller = new AbortController();
   const timeout = setTimeout(() => controller.abort(new Error('Request timed out')), timeoutMs);
+  let resp;
   try {
-    const resp = await fetch(base + path, {
+    resp = await fetch(selected.baseUrl + path, {
       method,
       headers: {
         'accept': 'application/json',
         ...headers,
       },
       body,
-      signal: controller.signal,
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal,
     });
+  } catch (e) {
+    // Connection failures count against the backend; aborts by the caller or slow generations do not
+    if (!signal?.aborted && (probe || !controller.signal.aborted)) recordFailure(selected, e);
+    clearTimeout(timeout);
+    throw e;
+  }
+
+  try {
     const text = await resp.text();
     let json;
     try { json = text ? JSON.parse(text) : null; } catch (_e) { json = null; }
+    if (UNHEALTHY_STATUSES.includes(resp.status) || (probe && resp.status >= 500)) {
+      recordFailure(selected, new Error(`HTTP ${resp.status}`));
+    } else {
+      recordSuccess(selected);
+    }
     if (!resp.ok) {
       const err = new Error(`Automatic1111 API error ${resp.status}`);
       err.status = resp.status;
@@ -39,28 +187,99 @@ async function doFetch(path, { method = 'GET', body, headers = {}, timeoutMs = D
   }
 }
 
+async function probeBackend(backend) {
+  try {
+    await doFetch('/sdapi/v1/progress?skip_current_image=true', {backend, probe: true, timeoutMs: PROBE_TIMEOUT_MS});
+  } catch (e) {
+    log.debug('Health probe failed for backend', backend.name, e?.message || e);
+  }
+}
+
+let healthTimer = null;
+
+// Probe every backend now and then every HEALTH_INTERVAL_MS; safe to call more than once
+function startHealthChecks(intervalMs = HEALTH_INTERVAL_MS) {
+  if (healthTimer || !isConfigured()) return;
+  const probeAll = () => Promise.all(getBackends().map(probeBackend));
+  probeAll();
+  healthTimer = setInterval(probeAll, intervalMs);
+  healthTimer.unref();
+}
+
+// Run a refresh on all backends; fails only if every backend failed
+async function refreshAll(path, method = 'POST') {
+  const backends = getBackends();
+  if (backends.length === 0) throw new Error('AUTOMATIC1111_API_BASE is not configured');
+  const results = await Promise.allSettled(backends.map((backend) => doFetch(path, { method, backend })));
+  const failed = results.filter((r) => r.status === 'rejected');
+  if (failed.length === results.length) throw failed[0].reason;
+  return results.map((r) => (r.status === 'fulfilled' ? r.value : null));
+}
+
 // Public API
 module.exports = {
+  // Backend pool
+  getBackends,
+  getBackend,
+  isConfigured,
+  rankBackends,
+
+  // Health and circuit breaker
+  isAvailable,
+  hasAvailableBackend,
+  getHealth,
+  startHealthChecks,
+
   // Generation endpoints (not used yet by server; intended for worker)
-  async txt2img(payload) {
+  async txt2img(payload, { signal, backend } = {}) {
     return doFetch('/sdapi/v1/txt2img', {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
       body: JSON.stringify(payload || {}),
+      signal,
+      backend,
     });
   },
-  async img2img(payload) {
+  async img2img(payload, { signal, backend } = {}) {
     return doFetch('/sdapi/v1/img2img', {
       method: 'POST',
       headers: { 'content-type': 'application/json' },
       body: JSON.stringify(payload || {}),
+      signal,
+      backend,
     });
   },
 
+  // Postprocessing (upscaling, face restoration) of one image: { image, upscaler_1, upscaling_resize, ... }
+  async extraSingleImage(payload, { signal, backend } = {}) {
+    return doFetch('/sdapi/v1/extra-single-image', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(payload || {}),
+      signal,
+      backend,
+    });
+  },
+  // Postprocessing (upscaling, face restoration) of several images: { imageList: [{data, name}], upscaler_1, upscaling_resize, ... }
+  async extraBatchImages(payload, { signal, backend } = {}) {
+    return doFetch('/sdapi/v1/extra-batch-images', {
+      method: 'POST',
+      headers: { 'content-type': 'application/json' },
+      body: JSON.stringify(payload || {}),
+      signal,
+      backend,
+    });
+  },
+
+  // Stop the generation currently running on the backend; A1111 returns the partial result to the pending request
+  async interrupt({ backend } = {}) {
+    return doFetch('/sdapi/v1/interrupt', { method: 'POST', backend });
+  },
+
   // Progress endpoint
-  async getProgress({ skipCurrentImage = true } = {}) {
+  async getProgress({ skipCurrentImage = true, backend = null } = {}) {
     const q = skipCurrentImage ? '?skip_current_image=true' : '';
-    return doFetch(`/sdapi/v1/progress${q}`, { method: 'GET' });
+    return doFetch(`/sdapi/v1/progress${q}`, { method: 'GET', backend });
   },
 
   // Metadata/listing
@@ -83,12 +302,22 @@ module.exports = {
     });
   },
 
-  // Refresh endpoints to reload newly added models/loras on disk
+  // Refresh endpoints to reload newly added models/loras on disk (on every backend of the pool)
   async refreshLoras() {
     // A1111 expects POST with no body
-    return doFetch('/sdapi/v1/refresh-loras', { method: 'POST' });
+    return refreshAll('/sdapi/v1/refresh-loras');
   },
   async refreshCheckpoints() {
-    return doFetch('/sdapi/v1/refresh-checkpoints', { method: 'POST' });
+    return refreshAll('/sdapi/v1/refresh-checkpoints');
+  },
+  async refreshVae() {
+    return refreshAll('/sdapi/v1/refresh-vae');
+  },
+  async refreshEmbeddings() {
+    return refreshAll('/sdapi/v1/refresh-embeddings');
+  },
+  // The ControlNet extension rescans its model directory when asked for the list with update=true
+  async refreshControlNetModels() {
+    return refreshAll('/controlnet/model_list?update=true', 'GET');
   },
 };
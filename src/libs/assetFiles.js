@@ -0,0 +1,100 @@
+const fs = require('fs/promises');
+const path = require('path');
+const a1111 = require('./a1111');
+const {refreshAssets} = require('./assetKinds');
+const createLogger = require('./logger');
+const log = createLogger('lib:asset-files');
+
+// Files of an asset on disk: the model file and the preview image saved next to it by the CivitAI download
+
+// "<dir>/<name>.safetensors" -> "<dir>/<name>.preview.jpeg"
+function previewPath(localPath) {
+  const base = path.basename(localPath, path.extname(localPath));
+  return path.join(path.dirname(localPath), `${base}.preview.jpeg`);
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (_e) {
+    return false;
+  }
+}
+
+/**
+ * Validates a new file name for an asset; the extension is kept from the current file if omitted
+ * @returns {{fileName: string} | {error: string}}
+ */
+function resolveFileName(localPath, fileName) {
+  const name = String(fileName || '').trim();
+  if (!name || name !== path.basename(name) || name.startsWith('.') || name.includes('\\')) {
+    return {error: 'filename must be a plain file name without directories'};
+  }
+  const extension = path.extname(localPath);
+  if (!path.extname(name)) return {fileName: name + extension};
+  if (path.extname(name).toLowerCase() !== extension.toLowerCase()) {
+    return {error: `filename must keep the extension ${extension}`};
+  }
+  return {fileName: name};
+}
+
+/**
+ * Renames an asset file and its preview image within their directory; both keep their names if either rename fails
+ * @returns {Promise<string>} New local path
+ * @throws {Error} with status 404 if the file is missing or 409 if the target exists
+ */
+async function renameAssetFile(localPath, fileName) {
+  const target = path.join(path.dirname(localPath), fileName);
+  if (target === localPath) return localPath;
+  if (!(await exists(localPath))) {
+    throw Object.assign(new Error(`Asset file ${localPath} does not exist`), {status: 404});
+  }
+  if (await exists(target)) {
+    throw Object.assign(new Error(`A file named ${fileName} already exists`), {status: 409});
+  }
+  await fs.rename(localPath, target);
+  if (await exists(previewPath(localPath))) {
+    try {
+      await fs.rename(previewPath(localPath), previewPath(target));
+    } catch (e) {
+      // Put the model file back so it still matches the asset record
+      await fs.rename(target, localPath);
+      throw e;
+    }
+  }
+  return target;
+}
+
+// Leftover partial downloads of a file: "<file>.<source hash>.part" (see partialPath in civitaiDownload.ts)
+async function partialFiles(localPath) {
+  const base = path.basename(localPath).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const pattern = new RegExp(`^${base}\\.[0-9a-f]{16}\\.part$`);
+  const names = await fs.readdir(path.dirname(localPath)).catch(() => []);
+  return names.filter((name) => pattern.test(name)).map((name) => path.join(path.dirname(localPath), name));
+}
+
+// Deletes an asset file, its preview image and leftover partial downloads; missing files are ignored
+async function removeAssetFiles(localPath) {
+  for (const file of [localPath, previewPath(localPath), ...await partialFiles(localPath)]) {
+    await fs.rm(file, {force: true});
+  }
+}
+
+// Lets A1111 pick up renamed or deleted files; a failed refresh is only logged
+async function refreshBackends(kind) {
+  if (!a1111.isConfigured()) return;
+  try {
+    await refreshAssets(kind);
+  } catch (e) {
+    log.warn('Refresh request failed after asset change:', e.message);
+  }
+}
+
+module.exports = {
+  previewPath,
+  resolveFileName,
+  renameAssetFile,
+  removeAssetFiles,
+  refreshBackends,
+};
@@ -0,0 +1,46 @@
+const path = require('path');
+const a1111 = require('./a1111');
+
+// Asset kinds: where their files go and how A1111 picks up new files of that kind.
+// A1111 has no refresh endpoint for hypernetworks and upscaler models; it finds them after a restart
+// or a refresh in its UI.
+const ASSET_KINDS = {
+  model: {dirEnv: 'MODELS_DIR', defaultDir: 'models', refresh: () => a1111.refreshCheckpoints()},
+  lora: {dirEnv: 'LORAS_DIR', defaultDir: 'loras', refresh: () => a1111.refreshLoras()},
+  embedding: {dirEnv: 'EMBEDDINGS_DIR', defaultDir: 'embeddings', refresh: () => a1111.refreshEmbeddings()},
+  vae: {dirEnv: 'VAE_DIR', defaultDir: 'vae', refresh: () => a1111.refreshVae()},
+  hypernetwork: {dirEnv: 'HYPERNETWORKS_DIR', defaultDir: 'hypernetworks', refresh: null},
+  controlnet: {dirEnv: 'CONTROLNET_DIR', defaultDir: 'controlnet', refresh: () => a1111.refreshControlNetModels()},
+  upscaler: {dirEnv: 'UPSCALERS_DIR', defaultDir: 'upscalers', refresh: null},
+};
+
+const KINDS = Object.keys(ASSET_KINDS);
+
+function isAssetKind(kind) {
+  return Object.prototype.hasOwnProperty.call(ASSET_KINDS, String(kind));
+}
+
+// Target directory of a kind: its environment variable, or ./<defaultDir>
+function assetDirectory(kind) {
+  const config = ASSET_KINDS[kind];
+  if (!config) throw new Error(`Unknown asset kind: ${kind}`);
+  return process.env[config.dirEnv] || path.join(process.cwd(), config.defaultDir);
+}
+
+/**
+ * Asks every A1111 backend to reload its list of assets of this kind
+ * @returns {Promise<boolean>} false if A1111 cannot refresh this kind
+ */
+async function refreshAssets(kind) {
+  const config = ASSET_KINDS[kind];
+  if (!config || !config.refresh) return false;
+  await config.refresh();
+  return true;
+}
+
+module.exports = {
+  KINDS,
+  isAssetKind,
+  assetDirectory,
+  refreshAssets,
+};
@@ -7,6 +7,9 @@ export interface CivitAIFile {
   primary?: boolean;
   name?: string;
   downloadUrl?: string;
+  hashes?: {
+    SHA256?: string;
+  };
 }
 
 export interface CivitAIImage {
@@ -18,6 +21,8 @@ export interface CivitAIImage {
 }
 
 export interface CivitAIVersion {
+  id?: number;
+  modelId?: number;
   files?: CivitAIFile[];
   downloadUrl?: string;
   trainedWords?: string[];
@@ -71,6 +76,24 @@ export function extractCivitaiVersionId(input: string | null | undefined): strin
   }
 }
 
+/**
+ * Identity of an asset source, used to deduplicate downloads (assets.source_key)
+ * @param input - Download URL
+ * @returns "civitai:<versionId>" for CivitAI version URLs, the URL itself otherwise
+ */
+export function assetSourceKey(input: string): string {
+  const versionId = hostOf(input).includes('civitai.com') ? extractCivitaiVersionId(input) : null;
+  return versionId ? `civitai:${versionId}` : String(input);
+}
+
+function hostOf(input: string): string {
+  try {
+    return new URL(input).hostname;
+  } catch (_error) {
+    return '';
+  }
+}
+
 /**
  * Fetches version metadata from CivitAI API
  * @param versionId - The CivitAI model version ID
@@ -104,17 +127,58 @@ export async function fetchCivitAIVersion(
   return await response.json();
 }
 
+/**
+ * Looks up the CivitAI model version a file belongs to by the file's SHA256
+ * @param sha256 - Hash of the file (hex)
+ * @param config - CivitAI API configuration (optional, will use env vars if not provided)
+ * @returns Version metadata, or null if CivitAI does not know the file
+ * @throws {Error} If the API request fails for another reason
+ */
+export async function fetchCivitAIVersionByHash(
+  sha256: string,
+  config?: CivitAIConfig
+): Promise<CivitAIVersion | null> {
+  const apiConfig = config || getCivitAIConfig();
+  const hashUrl = `${apiConfig.apiBase}/model-versions/by-hash/${encodeURIComponent(sha256.toUpperCase())}`;
+
+  log.debug('Looking up CivitAI version by hash', hashUrl);
+
+  const response = await fetch(hashUrl, {
+    headers: {
+      'content-type': 'application/json',
+      authorization: `Bearer ${apiConfig.apiToken}`,
+    },
+  });
+
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(
+      `CivitAI hash lookup failed: ${response.status} ${response.statusText} - ${errorText.slice(0, 300)}`
+    );
+  }
+
+  return await response.json();
+}
+
+/**
+ * Canonical page URL of a CivitAI model version, the source_url of assets imported from CivitAI
+ */
+export function civitaiVersionUrl(versionData: CivitAIVersion): string {
+  return `https://civitai.com/models/${encodeURIComponent(String(versionData.modelId))}?modelVersionId=${encodeURIComponent(String(versionData.id))}`;
+}
+
 /**
  * Selects the primary file from a CivitAI version response
  * @param versionData - The CivitAI version metadata
  * @param versionId - The version ID (used for fallback filename)
- * @returns Object containing fileName and downloadUrl
+ * @returns Object containing fileName, downloadUrl and the published SHA256 (lowercase hex, null if missing)
  * @throws {Error} If no files are available or no download URL is found
  */
 export function selectPrimaryFile(
   versionData: CivitAIVersion,
   versionId: string
-): { fileName: string; downloadUrl: string } {
+): { fileName: string; downloadUrl: string; sha256: string | null } {
   const files = Array.isArray(versionData.files) ? versionData.files : [];
 
   if (files.length === 0) {
@@ -129,7 +193,10 @@ export function selectPrimaryFile(
     throw new Error('No downloadUrl provided by CivitAI');
   }
 
-  return { fileName, downloadUrl };
+  // CivitAI publishes the SHA256 of every file (uppercase hex)
+  const sha256 = primaryFile.hashes?.SHA256 ? primaryFile.hashes.SHA256.toLowerCase() : null;
+
+  return { fileName, downloadUrl, sha256 };
 }
 
 /**
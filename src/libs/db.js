@@ -1,5 +1,6 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const Database = require('better-sqlite3');
 const {deserialize, serialize} = require("./json");
 
@@ -18,6 +19,34 @@ if (!fs.existsSync(dir)) {
 let rawDb = null;
 let dbApi = null;
 
+// Ready jobs in queue order: highest priority first, then round-robin between clients (fair share).
+// Each client's jobs are ranked oldest first; equal ranks go to the client that was served least recently.
+const READY_QUEUE_SQL = `
+  WITH served AS (SELECT COALESCE(client, '') AS client_key, MAX(last_claimed_at) AS last_served_at
+                  FROM jobs
+                  WHERE last_claimed_at IS NOT NULL
+                  GROUP BY client_key),
+       queue AS (SELECT uuid,
+                        priority,
+                        created_at,
+                        COALESCE(client, '') AS client_key,
+                        ROW_NUMBER() OVER (PARTITION BY priority, COALESCE(client, '') ORDER BY datetime(created_at)) AS client_rank
+                 FROM jobs
+                 WHERE (ready = 1)
+                   AND ready_at <= @now
+                   AND (lease_expires_at IS NULL OR lease_expires_at <= @now)
+                   AND (workflow || ':' || status) NOT IN (SELECT value FROM json_each(@excluded_steps)))
+  SELECT queue.uuid
+  FROM queue
+         LEFT JOIN served ON served.client_key = queue.client_key
+  ORDER BY queue.priority DESC, queue.client_rank, COALESCE(served.last_served_at, '') ASC, datetime(queue.created_at)
+`;
+
+// The bearer token of a download (request.auth_token) is only kept while the job can still run:
+// completing or canceling a job removes it from the stored request. Failed jobs keep it, as
+// POST /v1/jobs/:uuid/retry runs the download again.
+const DROP_AUTH_TOKEN = `json_remove(request, '$.auth_token')`;
+
 function getDb() {
   if (!rawDb) {
     rawDb = new Database(DB_PATH);
@@ -35,8 +64,8 @@ function initDb() {
   // Prepare all statements
   const statements = {
     insertJob: db.prepare(`
-      INSERT INTO jobs (uuid, status, progress, request, result, error, webhookUrl, webhookKey, created_at, workflow, completed_at)
-      VALUES (@uuid, @status, @progress, @request, @result, @error, @webhookUrl, @webhookKey, @created_at, @workflow, @completed_at)
+      INSERT INTO jobs (uuid, status, progress, request, result, error, webhookUrl, webhookKey, created_at, workflow, completed_at, priority, client, run_at, batch_uuid)
+      VALUES (@uuid, @status, @progress, @request, @result, @error, @webhookUrl, @webhookKey, @created_at, @workflow, @completed_at, @priority, @client, @run_at, @batch_uuid)
     `),
     getJob: db.prepare(`SELECT uuid,
                                status,
@@ -51,45 +80,116 @@ function initDb() {
                                workflow,
                                retry_count,
                                last_retry,
+                               next_attempt_at,
+                               failed_step,
                                ready,
-                               ready_at
+                               ready_at,
+                               lease_owner,
+                               lease_expires_at,
+                               priority,
+                               client,
+                               run_at,
+                               batch_uuid
                         FROM jobs
                         WHERE uuid = ?`),
     updateStatus: db.prepare(`UPDATE jobs
                               SET status = @status,
+                                  request = CASE WHEN @status IN ('completed', 'canceled') THEN ${DROP_AUTH_TOKEN} ELSE request END,
                                   completed_at = CASE WHEN @status IN ('completed', 'canceled', 'error') THEN datetime('now') ELSE completed_at END,
                                   progress = CASE WHEN @status IN ('progress', 'canceled', 'error') THEN 1 ELSE progress END
                               WHERE uuid = @uuid`),
+    retryJob: db.prepare(`UPDATE jobs
+                          SET status          = @status,
+                              progress        = 0,
+                              result          = CASE WHEN @clear_result = 1 THEN NULL ELSE result END,
+                              error           = NULL,
+                              failed_step     = NULL,
+                              retry_count     = 0,
+                              last_retry      = NULL,
+                              next_attempt_at = NULL,
+                              completed_at    = NULL
+                          WHERE uuid = @uuid
+                            AND status = 'error'`),
+    getStatus: db.prepare(`SELECT status
+                           FROM jobs
+                           WHERE uuid = ?`),
     updateProgress: db.prepare(`UPDATE jobs
                                 SET progress = ?
                                 WHERE uuid = ?`),
-    updateRetry: db.prepare(`UPDATE jobs
-                             SET retry_count = retry_count + 1,
-                                 last_retry  = ?
-                             WHERE uuid = ?`),
-    // Select next ready job, oldest first by created_at
-    getNextReady: db.prepare(`
-      SELECT uuid,
-             status,
-             progress,
-             request,
-             result,
-             error,
-             webhookUrl,
-             webhookKey,
-             created_at,
-             completed_at,
-             workflow,
-             retry_count,
-             last_retry,
-             ready,
-             ready_at
-      FROM jobs
-      WHERE (ready = 1)
-        AND ready_at <= ?
-      ORDER BY datetime(created_at)
-      LIMIT 1
+    // Atomically lease the next ready job in queue order.
+    // A single UPDATE takes SQLite's write lock, so two workers can never claim the same row.
+    claimNextReady: db.prepare(`
+      UPDATE jobs
+      SET lease_owner      = @owner,
+          lease_expires_at = @expires_at,
+          last_claimed_at  = @now
+      WHERE uuid = (${READY_QUEUE_SQL} LIMIT 1)
+      RETURNING uuid,
+                status,
+                progress,
+                request,
+                result,
+                error,
+                webhookUrl,
+                webhookKey,
+                created_at,
+                completed_at,
+                workflow,
+                retry_count,
+                last_retry,
+                next_attempt_at,
+                ready,
+                ready_at,
+                lease_owner,
+                lease_expires_at,
+                priority,
+                client,
+                batch_uuid
     `),
+    getReadyQueue: db.prepare(READY_QUEUE_SQL),
+    renewLease: db.prepare(`UPDATE jobs
+                            SET lease_expires_at = @expires_at
+                            WHERE uuid = @uuid
+                              AND lease_owner = @owner`),
+    releaseLease: db.prepare(`UPDATE jobs
+                              SET lease_owner      = NULL,
+                                  lease_expires_at = NULL,
+                                  backend          = NULL
+                              WHERE uuid = @uuid
+                                AND lease_owner = @owner`),
+    backendUsage: db.prepare(`SELECT backend, COUNT(*) AS busy
+                              FROM jobs
+                              WHERE backend IS NOT NULL
+                                AND lease_expires_at > ?
+                              GROUP BY backend`),
+    assignBackend: db.prepare(`UPDATE jobs
+                               SET backend = @backend
+                               WHERE uuid = @uuid`),
+    // Move an abandoned job back to its waiting state, counting the recovery as a retry.
+    // Guarded on status and lease so concurrent reapers never recover the same job twice.
+    requeueStale: db.prepare(`UPDATE jobs
+                              SET status           = @to_status,
+                                  retry_count      = retry_count + 1,
+                                  last_retry       = @now,
+                                  next_attempt_at  = @next_attempt_at,
+                                  lease_owner      = NULL,
+                                  lease_expires_at = NULL,
+                                  backend          = NULL
+                              WHERE uuid = @uuid
+                                AND status = @from_status
+                                AND (lease_expires_at IS NULL OR lease_expires_at <= @cutoff)`),
+    failStale: db.prepare(`UPDATE jobs
+                           SET status           = 'error',
+                               error            = @error,
+                               failed_step      = @failed_step,
+                               progress         = 1,
+                               completed_at     = @now,
+                               lease_owner      = NULL,
+                               lease_expires_at = NULL,
+                               backend          = NULL
+                           WHERE uuid = @uuid
+                             AND status = @from_status
+                             AND (lease_expires_at IS NULL OR lease_expires_at <= @cutoff)`),
     getActive: db.prepare(`
       SELECT uuid,
              status,
@@ -100,13 +200,77 @@ function initDb() {
              ready,
              ready_at,
              last_retry,
+             next_attempt_at,
+             priority,
+             client,
+             run_at,
              created_at,
              completed_at
       FROM jobs
-      WHERE (status NOT IN ('completed', 'error', 'canceled') AND (ready_at <= ? OR ready_at IS NULL))
+      WHERE (status NOT IN ('completed', 'error', 'canceled') AND NOT (status = 'pending' AND run_at IS NOT NULL AND run_at > ?))
          OR (status IN ('completed', 'canceled') AND completed_at IS NOT NULL AND datetime(completed_at, '+5 minutes') >= datetime(?))
       ORDER BY rowid DESC
     `),
+    // Jobs that have not started yet because their run_at lies in the future
+    getScheduled: db.prepare(`
+      SELECT uuid,
+             status,
+             workflow,
+             priority,
+             client,
+             run_at,
+             created_at
+      FROM jobs
+      WHERE status = 'pending'
+        AND run_at IS NOT NULL
+        AND run_at > ?
+      ORDER BY run_at, datetime(created_at)
+    `),
+    insertBatch: db.prepare(`
+      INSERT INTO batches (uuid, status, total, webhookUrl, webhookKey, created_at, final_job_uuid)
+      VALUES (@uuid, @status, @total, @webhookUrl, @webhookKey, @created_at, @final_job_uuid)
+    `),
+    getBatch: db.prepare(`SELECT uuid, status, total, webhookUrl, webhookKey, created_at, completed_at, final_job_uuid
+                          FROM batches
+                          WHERE uuid = ?`),
+    getBatchJobs: db.prepare(`SELECT uuid, status, workflow, progress, error, result
+                              FROM jobs
+                              WHERE batch_uuid = ?
+                              ORDER BY rowid`),
+    completeBatch: db.prepare(`UPDATE batches
+                               SET status       = @status,
+                                   completed_at = @now
+                               WHERE uuid = @uuid
+                                 AND completed_at IS NULL`),
+    releaseFinalJob: db.prepare(`UPDATE jobs
+                                 SET status = 'pending'
+                                 WHERE uuid = ?
+                                   AND status = 'waiting-for-batch'`),
+    // Open batches none of whose jobs is still queued or running
+    listFinishedBatches: db.prepare(`SELECT uuid
+                                     FROM batches
+                                     WHERE completed_at IS NULL
+                                       AND NOT EXISTS (SELECT 1
+                                                       FROM jobs
+                                                       WHERE jobs.batch_uuid = batches.uuid
+                                                         AND jobs.status NOT IN ('completed', 'error', 'canceled'))`),
+    // Queued or running download of the same source, see assets.source_key
+    findActiveDownload: db.prepare(`SELECT uuid, json_extract(request, '$.kind') AS kind
+                                    FROM jobs
+                                    WHERE workflow IN ('civitai-download', 'asset-download')
+                                      AND status NOT IN ('completed', 'error', 'canceled')
+                                      AND json_extract(request, '$.source_key') = ?
+                                    ORDER BY created_at
+                                    LIMIT 1`),
+    findActiveByWorkflow: db.prepare(`SELECT uuid
+                                      FROM jobs
+                                      WHERE workflow = ?
+                                        AND status NOT IN ('completed', 'error', 'canceled')
+                                      ORDER BY created_at
+                                      LIMIT 1`),
+    findAssetBySourceKey: db.prepare('SELECT id FROM assets WHERE source_key = ?'),
+    findAssetBySha256: db.prepare('SELECT id FROM assets WHERE sha256 = ? ORDER BY id LIMIT 1'),
+    findAssetByLocalPath: db.prepare('SELECT id FROM assets WHERE local_path = ? ORDER BY id LIMIT 1'),
     listAssetImagesStmt: db.prepare(`
       SELECT asset_id, url, is_nsfw, width, height, meta
       FROM assets_images
@@ -138,6 +302,10 @@ function initDb() {
           webhookKey: job.webhookKey ?? null,
           created_at: job.created_at || new Date().toISOString(),
           completed_at: job.completed_at ?? null,
+          priority: Number(job.priority || 0),
+          client: job.client ?? null,
+          run_at: job.run_at ?? null,
+          batch_uuid: job.batch_uuid ?? null,
         };
         statements.insertJob.run(row);
         return job.uuid;
@@ -151,15 +319,19 @@ function initDb() {
           result: deserialize(row.result),
         };
       },
-      update(uuid, data) {
-        const allowed = ['status', 'progress', 'request', 'result', 'error', 'webhookUrl', 'webhookKey', 'workflow', 'retry_count', 'last_retry', 'completed_at'];
+      // update(uuid, data, {fromStatus, owner}) only applies when the job is still in fromStatus (and, with owner,
+      // still leased by that worker), so a worker never moves a job forward that was canceled, reaped or
+      // claimed by another worker in the meantime
+      update(uuid, data, {fromStatus, owner} = {}) {
+        const allowed = ['status', 'progress', 'request', 'result', 'error', 'webhookUrl', 'webhookKey', 'workflow', 'retry_count', 'last_retry', 'next_attempt_at', 'failed_step', 'completed_at'];
         const fields = Object.keys(data || {}).filter(k => allowed.includes(k));
         if (fields.length === 0) return 0;
 
         const payload = {...data};
 
         // If status is being updated to completed, canceled, or error, set completed_at to now
-        if (payload.status && ['completed', 'canceled', 'error'].includes(payload.status)) {
+        const finished = payload.status && ['completed', 'canceled', 'error'].includes(payload.status);
+        if (finished) {
           payload.completed_at = new Date().toISOString();
           // Add completed_at to fields if it's not already there
           if (!fields.includes('completed_at')) {
@@ -172,22 +344,53 @@ function initDb() {
           }
         }
 
-        if ('request' in payload) payload.request = serialize(payload.request);
+        // A completed or canceled job no longer needs the download token (see DROP_AUTH_TOKEN)
+        const dropToken = payload.status === 'completed' || payload.status === 'canceled';
+        if ('request' in payload) {
+          payload.request = serialize(dropToken && payload.request ? {...payload.request, auth_token: undefined} : payload.request);
+        }
         if ('result' in payload && payload.result != null) payload.result = serialize(payload.result);
 
         const sets = fields.map(k => `${k} = @${k}`);
+        if (dropToken && !fields.includes('request')) sets.push(`request = ${DROP_AUTH_TOKEN}`);
+        const guard = (fromStatus ? ' AND status = @from_status' : '') + (owner ? ' AND lease_owner = @lease_owner' : '');
         const stmt = db.prepare(`UPDATE jobs
                                  SET ${sets.join(', ')}
-                                 WHERE uuid = @uuid`);
-        return stmt.run({uuid, ...payload}).changes;
+                                 WHERE uuid = @uuid${guard}`);
+        return stmt.run({
+          uuid,
+          ...payload,
+          ...(fromStatus ? {from_status: fromStatus} : {}),
+          ...(owner ? {lease_owner: owner} : {}),
+        }).changes;
       },
-      error(uuid, errorMessage) {
+      // error(uuid, message, {fromStatus, owner, failedStep}) - failedStep is the waiting state a retry resumes from
+      error(uuid, errorMessage, {fromStatus, owner, failedStep} = {}) {
         return this.update(uuid, {
           status: 'error',
           error: errorMessage,
+          failed_step: failedStep ?? null,
           progress: 1,
           completed_at: new Date().toISOString()
-        });
+        }, {fromStatus, owner});
+      },
+      // retry(uuid, status, {clearResult}) revives an errored job at the given waiting state;
+      // the stored result is kept (resume) unless clearResult is set (restart from scratch)
+      retry(uuid, status, {clearResult = false} = {}) {
+        return statements.retryJob.run({uuid, status, clear_result: clearResult ? 1 : 0}).changes > 0;
+      },
+      // findActiveDownload(sourceKey) returns {uuid, kind} of a queued or running download of that source, or null
+      findActiveDownload(sourceKey) {
+        return statements.findActiveDownload.get(String(sourceKey)) || null;
+      },
+      // findActive(workflow) returns the uuid of the oldest queued or running job of the workflow, or null
+      findActive(workflow) {
+        const row = statements.findActiveByWorkflow.get(String(workflow));
+        return row ? row.uuid : null;
+      },
+      getStatus(uuid) {
+        const row = statements.getStatus.get(uuid);
+        return row ? row.status : null;
       },
       updateStatus(uuid, status) {
         return statements.updateStatus.run({status, uuid}).changes;
@@ -206,8 +409,16 @@ function initDb() {
         this.updateStatus(uuid, 'canceled');
         return true;
       },
-      getNextReady() {
-        const row = statements.getNextReady.get(new Date().toISOString());
+      // claimNextReady(owner, leaseMs, {excludedSteps}) leases the next ready job for the given worker,
+      // skipping jobs waiting in one of the excludedSteps ("<workflow>:<waiting state>")
+      claimNextReady(owner, leaseMs, {excludedSteps = []} = {}) {
+        const now = new Date();
+        const row = statements.claimNextReady.get({
+          owner,
+          now: now.toISOString(),
+          expires_at: new Date(now.getTime() + leaseMs).toISOString(),
+          excluded_steps: JSON.stringify(excludedSteps),
+        });
         if (!row) throw new Error('No ready jobs');
         return {
           ...row,
@@ -215,9 +426,75 @@ function initDb() {
           result: deserialize(row.result),
         };
       },
+      // renewLease() returns false when the lease is no longer held by this owner
+      renewLease(uuid, owner, leaseMs) {
+        const expires_at = new Date(Date.now() + leaseMs).toISOString();
+        return statements.renewLease.run({uuid, owner, expires_at}).changes > 0;
+      },
+      releaseLease(uuid, owner) {
+        return statements.releaseLease.run({uuid, owner}).changes > 0;
+      },
+      // backendUsage() returns { [backendName]: number of jobs occupying it }
+      backendUsage() {
+        const rows = statements.backendUsage.all(new Date().toISOString());
+        return Object.fromEntries(rows.map((r) => [r.backend, r.busy]));
+      },
+      // acquireBackend(uuid, candidates) assigns the first candidate ({name, capacity}) with a free slot.
+      // Runs as an IMMEDIATE transaction so workers in other processes see a consistent slot count.
+      acquireBackend(uuid, candidates) {
+        return db.transaction(() => {
+          const usage = this.backendUsage();
+          const free = candidates.find((b) => (usage[b.name] || 0) < b.capacity);
+          if (!free) return null;
+          statements.assignBackend.run({uuid, backend: free.name});
+          return free.name;
+        }).immediate();
+      },
+      releaseBackend(uuid) {
+        return statements.assignBackend.run({uuid, backend: null}).changes > 0;
+      },
+      // listStale(states, staleMs) returns jobs sitting in one of the given active states whose
+      // lease is missing or expired for longer than staleMs (their worker stopped heartbeating)
+      listStale(states, staleMs) {
+        if (!Array.isArray(states) || states.length === 0) return [];
+        const cutoff = new Date(Date.now() - staleMs).toISOString();
+        const placeholders = states.map(() => '?').join(', ');
+        return db
+          .prepare(`SELECT uuid, status, workflow, retry_count, lease_owner, lease_expires_at
+                    FROM jobs
+                    WHERE status IN (${placeholders})
+                      AND (lease_expires_at IS NULL OR lease_expires_at <= ?)
+                    ORDER BY datetime(created_at)`)
+          .all(...states, cutoff);
+      },
+      requeueStale(uuid, fromStatus, toStatus, staleMs, nextAttemptAt = null) {
+        const now = new Date();
+        return statements.requeueStale.run({
+          uuid,
+          from_status: fromStatus,
+          to_status: toStatus,
+          next_attempt_at: nextAttemptAt,
+          now: now.toISOString(),
+          cutoff: new Date(now.getTime() - staleMs).toISOString(),
+        }).changes > 0;
+      },
+      failStale(uuid, fromStatus, errorMessage, staleMs, failedStep = null) {
+        const now = new Date();
+        return statements.failStale.run({
+          uuid,
+          from_status: fromStatus,
+          error: errorMessage,
+          failed_step: failedStep,
+          now: now.toISOString(),
+          cutoff: new Date(now.getTime() - staleMs).toISOString(),
+        }).changes > 0;
+      },
+      // listActive() includes queue_position (1 = next to run) for jobs waiting in the ready queue
       listActive() {
         const now = new Date().toISOString();
         const rows = statements.getActive.all(now, now);
+        const queue = statements.getReadyQueue.all({now, excluded_steps: '[]'});
+        const positions = new Map(queue.map((r, idx) => [r.uuid, idx + 1]));
         return rows.map(r => ({
           uuid: r.uuid,
           status: r.status,
@@ -227,10 +504,28 @@ function initDb() {
           ready: r.ready,
           ready_at: r.ready_at,
           last_retry: r.last_retry,
+          next_attempt_at: r.next_attempt_at ?? null,
+          priority: Number(r.priority || 0),
+          client: r.client ?? null,
+          queue_position: positions.get(r.uuid) ?? null,
+          run_at: r.run_at ?? null,
           created_at: r.created_at,
           completed_at: r.completed_at,
         }));
       },
+      // listScheduled() returns jobs waiting for their run_at, soonest first (not part of listActive)
+      listScheduled() {
+        const rows = statements.getScheduled.all(new Date().toISOString());
+        return rows.map(r => ({
+          uuid: r.uuid,
+          status: r.status,
+          workflow: r.workflow,
+          priority: Number(r.priority || 0),
+          client: r.client ?? null,
+          run_at: r.run_at,
+          created_at: r.created_at,
+        }));
+      },
       recentErrors(limit = 20) {
         const n = Math.max(1, Math.min(100, Number(limit) || 20));
         const rows = db
@@ -240,17 +535,89 @@ function initDb() {
           .all(n);
         return rows.map((r) => ({uuid: r.uuid, error: r.error || null}));
       },
-      incrementFailureCounter(jobUuid) {
-        const now = new Date().toISOString();
-        statements.updateRetry.run(now, jobUuid);
+    },
+    batches: {
+      // create(batch, jobs, {finalJob}) inserts the batch and all of its jobs in one transaction.
+      // finalJob is not part of the batch: it waits in 'waiting-for-batch' until the batch is finished.
+      create(batch, jobs, {finalJob = null} = {}) {
+        db.transaction(() => {
+          statements.insertBatch.run({
+            uuid: batch.uuid,
+            status: 'pending',
+            total: jobs.length,
+            webhookUrl: batch.webhookUrl ?? null,
+            webhookKey: batch.webhookKey ?? null,
+            created_at: new Date().toISOString(),
+            final_job_uuid: finalJob ? finalJob.uuid : null,
+          });
+          for (const job of jobs) dbApi.jobs.create({...job, batch_uuid: batch.uuid});
+          if (finalJob) dbApi.jobs.create({...finalJob, status: 'waiting-for-batch'});
+        })();
+        return batch.uuid;
       },
+      // get(uuid) returns the batch with per-status counts, aggregate progress and its jobs; null if not found
+      get(uuid) {
+        const batch = statements.getBatch.get(uuid);
+        if (!batch) return null;
+        const jobs = statements.getBatchJobs.all(uuid).map((r) => ({
+          uuid: r.uuid,
+          status: r.status,
+          workflow: r.workflow,
+          progress: Number(r.progress || 0),
+          error: r.error ?? null,
+          result: deserialize(r.result),
+        }));
+        const counts = {pending: 0, processing: 0, completed: 0, error: 0, canceled: 0};
+        for (const job of jobs) {
+          if (job.status in counts) counts[job.status] += 1;
+          else if (job.status === 'pending' || job.status.startsWith('ready-for-')) counts.pending += 1;
+          else counts.processing += 1;
+        }
+        const progress = jobs.length ? jobs.reduce((sum, j) => sum + j.progress, 0) / jobs.length : 1;
+        // While open, a batch is "processing" as soon as one of its jobs got picked up
+        const status = batch.completed_at || counts.pending === jobs.length ? batch.status : 'processing';
+        return {...batch, status, counts, progress, jobs};
+      },
+      // finalize(uuid) closes the batch once all its jobs are finished, then releases its final job
+      // or queues the batch webhook.
+      // Returns the final status, or null while jobs are still running (or when already finalized).
+      finalize(uuid) {
+        return db.transaction(() => {
+          const batch = this.get(uuid);
+          if (!batch || batch.completed_at) return null;
+          const {counts} = batch;
+          const total = batch.jobs.length;
+          if (counts.pending + counts.processing > 0) return null;
 
-      // getNextReady() - the next jobs where ready = 1 ordered by created_at (oldest first)
+          let status = 'partial';
+          if (counts.completed === total) status = 'completed';
+          else if (counts.canceled === total) status = 'canceled';
+          else if (counts.completed === 0) status = 'error';
+
+          statements.completeBatch.run({uuid, status, now: new Date().toISOString()});
+          if (batch.final_job_uuid) {
+            statements.releaseFinalJob.run(batch.final_job_uuid);
+          } else if (batch.webhookUrl) {
+            dbApi.jobs.create({
+              uuid: crypto.randomUUID(),
+              workflow: 'batch-webhook',
+              request: {batch_uuid: uuid},
+              webhookUrl: batch.webhookUrl,
+              webhookKey: batch.webhookKey,
+            });
+          }
+          return status;
+        }).immediate();
+      },
+      // finalizeFinished() finalizes every open batch whose jobs are all done; returns the finalized uuids
+      finalizeFinished() {
+        return statements.listFinishedBatches.all().map((r) => r.uuid).filter((uuid) => this.finalize(uuid));
+      },
     },
     assets: {
       list(kind) {
         let rows;
-        if (kind && (String(kind) === 'model' || String(kind) === 'lora')) {
+        if (kind) {
           rows = db
             .prepare('SELECT * FROM assets WHERE kind = ? ORDER BY datetime(created_at) DESC, id DESC')
             .all(String(kind));
@@ -275,6 +642,8 @@ function initDb() {
             min: Number(r.min),
             max: Number(r.max),
             local_path: r.local_path ?? null,
+            sha256: r.sha256 ?? null,
+            source_key: r.source_key ?? null,
             created_at: r.created_at,
             updated_at: r.updated_at,
             images,
@@ -301,6 +670,8 @@ function initDb() {
           min: Number(r.min),
           max: Number(r.max),
           local_path: r.local_path ?? null,
+          sha256: r.sha256 ?? null,
+          source_key: r.source_key ?? null,
           created_at: r.created_at,
           updated_at: r.updated_at,
           images,
@@ -316,15 +687,46 @@ function initDb() {
           min: asset.min == null ? 1 : Number(asset.min),
           max: asset.max == null ? 1 : Number(asset.max),
           local_path: asset.local_path ?? null,
+          sha256: asset.sha256 ?? null,
+          source_key: asset.source_key ?? null,
           created_at: now,
           updated_at: now,
         };
         const info = db.prepare(`
-          INSERT INTO assets (kind, name, source_url, example_prompt, min, max, local_path, created_at, updated_at)
-          VALUES (@kind, @name, @source_url, @example_prompt, @min, @max, @local_path, @created_at, @updated_at)
+          INSERT INTO assets (kind, name, source_url, example_prompt, min, max, local_path, sha256, source_key, created_at, updated_at)
+          VALUES (@kind, @name, @source_url, @example_prompt, @min, @max, @local_path, @sha256, @source_key, @created_at, @updated_at)
         `).run(row);
         return info.lastInsertRowid;
       },
+      // update(id, data) changes the given fields and updated_at; returns the number of changed rows
+      update(id, data) {
+        const allowed = ['name', 'source_url', 'example_prompt', 'min', 'max', 'local_path', 'sha256', 'source_key'];
+        const fields = Object.keys(data || {}).filter(k => allowed.includes(k));
+        if (fields.length === 0) return 0;
+        const sets = [...fields, 'updated_at'].map(k => `${k} = @${k}`);
+        return db.prepare(`UPDATE assets SET ${sets.join(', ')} WHERE id = @id`)
+          .run({...data, id, updated_at: new Date().toISOString()}).changes;
+      },
+      // delete(id) removes the asset and its images; returns false if it did not exist
+      delete(id) {
+        return db.transaction(() => {
+          db.prepare('DELETE FROM assets_images WHERE asset_id = ?').run(id);
+          return db.prepare('DELETE FROM assets WHERE id = ?').run(id).changes > 0;
+        })();
+      },
+      // findBySourceKey(key) / findBySha256(sha256) / findByLocalPath(path) return the matching asset or null
+      findBySourceKey(key) {
+        const r = statements.findAssetBySourceKey.get(String(key));
+        return r ? this.get(r.id) : null;
+      },
+      findBySha256(sha256) {
+        const r = statements.findAssetBySha256.get(String(sha256).toLowerCase());
+        return r ? this.get(r.id) : null;
+      },
+      findByLocalPath(localPath) {
+        const r = statements.findAssetByLocalPath.get(String(localPath));
+        return r ? this.get(r.id) : null;
+      },
       addImage(assetId, image) {
         const row = {
           asset_id: assetId,
@@ -0,0 +1,65 @@
+// Helpers for asset downloads from plain URLs: direct file links and HuggingFace resolve/ URLs
+
+// File types A1111 loads as checkpoints or LoRAs
+export const ALLOWED_EXTENSIONS = ['.safetensors', '.ckpt', '.pt', '.pth', '.bin'];
+
+export function isHuggingFaceUrl(url: string): boolean {
+  try {
+    const host = new URL(url).hostname;
+    return host === 'huggingface.co' || host.endsWith('.huggingface.co') || host === 'hf.co';
+  } catch (_e) {
+    return false;
+  }
+}
+
+/**
+ * Rewrites HuggingFace "blob" page URLs to the matching "resolve" download URL; other URLs are returned unchanged
+ * e.g. https://huggingface.co/org/repo/blob/main/model.safetensors -> .../resolve/main/model.safetensors
+ */
+export function normalizeDirectUrl(url: string): string {
+  if (!isHuggingFaceUrl(url)) return url;
+  const u = new URL(url);
+  u.pathname = u.pathname.replace(/^(\/[^/]+\/[^/]+)\/blob\//, '$1/resolve/');
+  return u.toString();
+}
+
+// Decoded last path segment of the URL, e.g. "model.safetensors"
+export function fileNameFromUrl(url: string): string {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+  const last = segments.length ? segments[segments.length - 1] : '';
+  try {
+    return decodeURIComponent(last);
+  } catch (_e) {
+    return last;
+  }
+}
+
+/**
+ * Checks that a URL can be downloaded as a generic asset
+ * @returns Error message, or null if the URL is fine
+ */
+export function validateDirectUrl(url: string): string | null {
+  let u: URL;
+  try {
+    u = new URL(url);
+  } catch (_e) {
+    return 'url must be an http(s) URL, a CivitAI URL or an AIR tag';
+  }
+  if (u.protocol !== 'https:' && u.protocol !== 'http:') return 'url must be an http(s) URL';
+  if (isHuggingFaceUrl(url) && !/^\/[^/]+\/[^/]+\/resolve\//.test(u.pathname)) {
+    return 'HuggingFace URLs must point to a file (…/resolve/<revision>/<file> or …/blob/<revision>/<file>)';
+  }
+  const name = fileNameFromUrl(url).toLowerCase();
+  if (!ALLOWED_EXTENSIONS.some((ext) => name.endsWith(ext))) {
+    return `url must point to a ${ALLOWED_EXTENSIONS.join(', ')} file`;
+  }
+  return null;
+}
+
+/**
+ * Authorization headers for a download: the per-request token, or HUGGINGFACE_TOKEN for HuggingFace URLs
+ */
+export function authHeaders(url: string, token?: string | null): Record<string, string> {
+  const bearer = token || (isHuggingFaceUrl(url) ? process.env.HUGGINGFACE_TOKEN : '');
+  return bearer ? { authorization: `Bearer ${bearer}` } : {};
+}
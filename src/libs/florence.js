@@ -2,18 +2,24 @@
 // Calls two endpoints in sequence as requested:
 // 1) POST /call/update_task_dropdown with { data: ["Single task" | "Cascaded task"] }
 // 2) POST /call/process_image with {
-//      data: [ { path: imageUrl }, taskName, prompt, "microsoft/Florence-2-large" ]
+//      data: [ { path: imageUrl }, taskName, prompt, modelName ]
 //    }
-// Returns a normalized object: { text: string, image: string|null }
+// Returns a normalized object: { text: string, image: string|null, task, model, output }
+// where output is the task result parsed by the catalog in florenceTasks.js.
+//
+// Both Gradio call styles are supported: older versions answer the POST with { data } directly,
+// newer ones with { event_id } and stream the result as server-sent events from GET /call/<fn>/<event_id>.
 
-const DEFAULT_TIMEOUT_MS = 60_000;
+const florenceTasks = require('./florenceTasks');
+
+const DEFAULT_TIMEOUT_MS = Number(process.env.FLORENCE_API_TIMEOUT_MS) || 60_000;
 
 function getBaseUrl() {
   const base = process.env.FLORENCE_API_BASE || '';
   return base.replace(/\/$/, '');
 }
 
-async function doFetch(path, { method = 'POST', body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+async function doFetch(path, { method = 'POST', body, headers = {}, timeoutMs = DEFAULT_TIMEOUT_MS, signal } = {}) {
   const base = getBaseUrl();
   if (!base) throw new Error('FLORENCE_API_BASE is not configured');
 
@@ -27,7 +33,7 @@ async function doFetch(path, { method = 'POST', body, headers = {}, timeoutMs =
         ...headers,
       },
       body,
-      signal: controller.signal,
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal,
     });
     const text = await resp.text();
     let json;
@@ -44,6 +50,103 @@ async function doFetch(path, { method = 'POST', body, headers = {}, timeoutMs =
   }
 }
 
+function parseEventBlock(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (line.startsWith('event:')) event = line.slice(6).trim();
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+  }
+  return { event, data: data.join('\n') };
+}
+
+// Splits a server-sent event stream into { event, data } messages
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let match;
+    while ((match = /\r?\n\r?\n/.exec(buffer))) {
+      const block = buffer.slice(0, match.index);
+      buffer = buffer.slice(match.index + match[0].length);
+      if (block.trim()) yield parseEventBlock(block);
+    }
+  }
+  // The last event may not be followed by a blank line
+  if (buffer.trim()) yield parseEventBlock(buffer);
+}
+
+function parseEventData(raw) {
+  try { return raw ? JSON.parse(raw) : null; } catch (_e) { return raw; }
+}
+
+// Fraction 0..1 from a Gradio progress payload ({ progress_data: [{ progress } | { index, length }] })
+function progressOf(data) {
+  const unit = Array.isArray(data?.progress_data) ? data.progress_data[0] : null;
+  if (!unit) return null;
+  if (Number.isFinite(unit.progress)) return unit.progress;
+  if (Number.isFinite(unit.index) && Number.isFinite(unit.length) && unit.length > 0) return (unit.index + 1) / unit.length;
+  return null;
+}
+
+// Reads the result of an async call: resolves with the data of the "complete" event,
+// rejects on "error" and reports "progress" events through onProgress
+async function awaitEvent(fn, eventId, { timeoutMs = DEFAULT_TIMEOUT_MS, signal, onProgress } = {}) {
+  const controller = new AbortController();
+  const timeout = setTimeout(() => controller.abort(new Error('Request timed out')), timeoutMs);
+  try {
+    const resp = await fetch(`${getBaseUrl()}/call/${fn}/${encodeURIComponent(eventId)}`, {
+      headers: { 'accept': 'text/event-stream' },
+      signal: signal ? AbortSignal.any([controller.signal, signal]) : controller.signal,
+    });
+    if (!resp.ok || !resp.body) {
+      const err = new Error(`Florence API error ${resp.status}`);
+      err.status = resp.status;
+      err.body = await resp.text();
+      throw err;
+    }
+    for await (const { event, data } of readEvents(resp.body)) {
+      if (event === 'complete') return { data: parseEventData(data) };
+      if (event === 'error') {
+        const detail = parseEventData(data);
+        const message = typeof detail === 'string' ? detail : (detail?.message || detail?.error || 'no details');
+        throw new Error(`Florence (Gradio) error in ${fn}: ${message}`);
+      }
+      if (event === 'progress' && onProgress) {
+        const fraction = progressOf(parseEventData(data));
+        if (fraction != null) onProgress(Math.max(0, Math.min(1, fraction)));
+      }
+      // heartbeat and generating events only keep the stream alive
+    }
+    throw new Error(`Florence (Gradio) stream for ${fn} ended without a result`);
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+// Calls a Gradio function and returns its { data } in either protocol style
+async function call(fn, data, { signal, onProgress } = {}) {
+  const resp = await doFetch(`/call/${fn}`, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json' },
+    body: JSON.stringify({ data }),
+    signal,
+  });
+  if (resp && typeof resp === 'object' && resp.event_id) {
+    return awaitEvent(fn, resp.event_id, { signal, onProgress });
+  }
+  return resp;
+}
+
+// Gradio returns files as plain strings, { image } (older versions) or { path, url } (FileData)
+function fileUrl(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return value;
+  if (value.image) return fileUrl(value.image);
+  return value.url || value.path || null;
+}
+
 function normalizeTuple(resp) {
   // Gradio typically returns { data: [...] }
   let arr = Array.isArray(resp) ? resp : Array.isArray(resp?.data) ? resp.data : null;
@@ -51,37 +154,35 @@ function normalizeTuple(resp) {
   const first = arr[0] ?? null;
   const second = arr[1] ?? null;
   const text = typeof first === 'string' ? first : (first?.label || null);
-  const image = typeof second === 'string' ? second : (second?.image || null);
-  return { text, image };
+  return { text, image: fileUrl(second) };
 }
 
 module.exports = {
-  async run({ imageUrl, mode, task, prompt }) {
-    const theMode = (mode || '').trim() || (task && task.toLowerCase().includes('caption') ? 'Cascaded task' : 'Single task');
-    const taskName = (task || '').trim();
+  // onProgress(fraction) is called while process_image runs (async protocol only)
+  async run({ imageUrl, mode, task, prompt, model }, { signal, onProgress } = {}) {
+    const resolved = florenceTasks.resolveRequest({ task, mode, prompt, model });
+    if (resolved.error) throw new Error(resolved.error);
+    const { task: entry } = resolved;
     const userPrompt = prompt == null ? '' : String(prompt);
 
     // 1) update task dropdown (ignore output)
-    await doFetch('/call/update_task_dropdown', {
-      method: 'POST',
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify({ data: [theMode] }),
-    });
+    await call('update_task_dropdown', [entry.mode], { signal });
 
     // 2) process_image
-    const payload = {
-      data: [
-        { path: String(imageUrl || '') },
-        taskName,
-        userPrompt,
-        'microsoft/Florence-2-large',
-      ],
+    const resp = await call('process_image', [
+      { path: String(imageUrl || '') },
+      entry.name,
+      userPrompt,
+      resolved.model,
+    ], { signal, onProgress });
+    const { text, image } = normalizeTuple(resp);
+    const raw = (Array.isArray(resp) ? resp : resp?.data)?.[0] ?? text;
+    return {
+      text,
+      image,
+      task: entry.name,
+      model: resolved.model,
+      output: florenceTasks.parseOutput(entry, raw),
     };
-    const resp = await doFetch('/call/process_image', {
-      method: 'POST',
-      headers: { 'content-type': 'application/json' },
-      body: JSON.stringify(payload),
-    });
-    return normalizeTuple(resp);
   },
 };
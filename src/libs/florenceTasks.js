@@ -0,0 +1,241 @@
+// Florence-2 task catalog and output parsing
+// Every task is known by its Gradio UI name ("Object Detection") and its Florence prompt token ("<OD>");
+// requests may use either. `output` tells how the raw result of the task is parsed:
+// - text: plain string (captions, OCR, region to category/description)
+// - boxes: { bboxes, labels } -> [{ label, bbox: [x1, y1, x2, y2] }]
+// - polygons: { polygons, labels } -> [{ label, points: [[x, y], ...] }], one entry per polygon part
+// - ocr: { quad_boxes, labels } -> [{ text, quad: [[x, y] x 4] }]
+// - grounding: cascaded caption + phrase grounding -> { caption, boxes }
+
+const SINGLE = 'Single task';
+const CASCADED = 'Cascaded task';
+
+const TASKS = [
+  { name: 'Caption', token: '<CAPTION>', mode: SINGLE, output: 'text', prompt: false },
+  { name: 'Detailed Caption', token: '<DETAILED_CAPTION>', mode: SINGLE, output: 'text', prompt: false },
+  { name: 'More Detailed Caption', token: '<MORE_DETAILED_CAPTION>', mode: SINGLE, output: 'text', prompt: false },
+  { name: 'Object Detection', token: '<OD>', mode: SINGLE, output: 'boxes', prompt: false },
+  { name: 'Dense Region Caption', token: '<DENSE_REGION_CAPTION>', mode: SINGLE, output: 'boxes', prompt: false },
+  { name: 'Region Proposal', token: '<REGION_PROPOSAL>', mode: SINGLE, output: 'boxes', prompt: false },
+  { name: 'Caption to Phrase Grounding', token: '<CAPTION_TO_PHRASE_GROUNDING>', mode: SINGLE, output: 'boxes', prompt: true },
+  { name: 'Referring Expression Segmentation', token: '<REFERRING_EXPRESSION_SEGMENTATION>', mode: SINGLE, output: 'polygons', prompt: true },
+  { name: 'Region to Segmentation', token: '<REGION_TO_SEGMENTATION>', mode: SINGLE, output: 'polygons', prompt: true },
+  { name: 'Open Vocabulary Detection', token: '<OPEN_VOCABULARY_DETECTION>', mode: SINGLE, output: 'boxes', prompt: true },
+  { name: 'Region to Category', token: '<REGION_TO_CATEGORY>', mode: SINGLE, output: 'text', prompt: true },
+  { name: 'Region to Description', token: '<REGION_TO_DESCRIPTION>', mode: SINGLE, output: 'text', prompt: true },
+  { name: 'OCR', token: '<OCR>', mode: SINGLE, output: 'text', prompt: false },
+  { name: 'OCR with Region', token: '<OCR_WITH_REGION>', mode: SINGLE, output: 'ocr', prompt: false },
+  { name: 'Caption + Grounding', token: '<CAPTION>', mode: CASCADED, output: 'grounding', prompt: false },
+  { name: 'Detailed Caption + Grounding', token: '<DETAILED_CAPTION>', mode: CASCADED, output: 'grounding', prompt: false },
+  { name: 'More Detailed Caption + Grounding', token: '<MORE_DETAILED_CAPTION>', mode: CASCADED, output: 'grounding', prompt: false },
+];
+
+const DEFAULT_MODELS = [
+  'microsoft/Florence-2-large',
+  'microsoft/Florence-2-large-ft',
+  'microsoft/Florence-2-base',
+  'microsoft/Florence-2-base-ft',
+];
+
+// Models offered by the backend; FLORENCE_MODELS (comma-separated) replaces the stock list
+function getModels() {
+  const configured = String(process.env.FLORENCE_MODELS || '').split(',').map((m) => m.trim()).filter(Boolean);
+  return configured.length ? configured : DEFAULT_MODELS;
+}
+
+function getDefaultModel() {
+  return process.env.FLORENCE_MODEL || getModels()[0];
+}
+
+/**
+ * Looks up a task by UI name or prompt token (case-insensitive)
+ * Tokens are ambiguous between single and cascaded caption tasks, so a token resolves to the single task;
+ * resolveRequest picks the entry for the requested mode.
+ * @param {string} task
+ * @returns {object|null} Catalog entry
+ */
+function findTask(task) {
+  const key = String(task || '').trim().toLowerCase();
+  if (!key) return null;
+  return TASKS.find((t) => t.name.toLowerCase() === key)
+    || TASKS.find((t) => t.mode === SINGLE && t.token.toLowerCase() === key)
+    || null;
+}
+
+// The same task in another mode: caption tasks exist as single and as cascaded (+ Grounding) task
+function inMode(entry, mode) {
+  return entry.mode === mode ? entry : TASKS.find((t) => t.mode === mode && t.token === entry.token) || null;
+}
+
+/**
+ * Validates the task part of a Florence request
+ * Without a mode, caption tasks run cascaded (with grounding) as they always did; other tasks in their own mode.
+ * @returns {{task: object, model: string} | {error: string}}
+ */
+function resolveRequest({ task, mode, prompt, model }) {
+  const found = findTask(task);
+  if (!found) return { error: `Unknown Florence task "${task}"` };
+  const theMode = mode ? String(mode).trim() : (inMode(found, CASCADED) ? CASCADED : found.mode);
+  const entry = inMode(found, theMode);
+  if (!entry) {
+    return { error: `Task "${found.name}" runs as "${found.mode}", not "${mode}"` };
+  }
+  if (entry.prompt && !String(prompt || '').trim()) {
+    return { error: `Task "${entry.name}" requires a prompt` };
+  }
+  const theModel = model ? String(model).trim() : getDefaultModel();
+  if (!getModels().includes(theModel)) {
+    return { error: `Unknown Florence model "${theModel}"` };
+  }
+  return { task: entry, model: theModel };
+}
+
+// Converts a Python literal (the Gradio demo returns str(dict)) into a JS value. Returns undefined if it is none.
+function parsePythonLiteral(source) {
+  let i = 0;
+  const fail = () => { throw new SyntaxError(`Unexpected input at ${i}`); };
+  const skip = () => { while (i < source.length && /\s/.test(source[i])) i++; };
+
+  function value() {
+    skip();
+    const c = source[i];
+    if (c === '{') return sequence('}', true);
+    if (c === '[') return sequence(']', false);
+    if (c === '(') return sequence(')', false);
+    if (c === '"' || c === "'") return string();
+    const word = /^(True|False|None)\b/.exec(source.slice(i));
+    if (word) {
+      i += word[0].length;
+      return word[0] === 'True' ? true : word[0] === 'False' ? false : null;
+    }
+    const num = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(source.slice(i));
+    if (!num) fail();
+    i += num[0].length;
+    return Number(num[0]);
+  }
+
+  function sequence(close, isDict) {
+    const out = isDict ? {} : [];
+    i++;
+    for (;;) {
+      skip();
+      if (source[i] === close) { i++; return out; }
+      const item = value();
+      if (isDict) {
+        skip();
+        if (source[i] !== ':') fail();
+        i++;
+        out[String(item)] = value();
+      } else {
+        out.push(item);
+      }
+      skip();
+      if (source[i] === ',') i++;
+      else if (source[i] !== close) fail();
+    }
+  }
+
+  function string() {
+    const quote = source[i++];
+    let out = '';
+    while (i < source.length && source[i] !== quote) {
+      if (source[i] === '\\') {
+        const next = source[i + 1];
+        out += next === 'n' ? '\n' : next === 't' ? '\t' : next;
+        i += 2;
+      } else {
+        out += source[i++];
+      }
+    }
+    if (i >= source.length) fail();
+    i++;
+    return out;
+  }
+
+  try {
+    const result = value();
+    skip();
+    return i === source.length ? result : undefined;
+  } catch (_e) {
+    return undefined;
+  }
+}
+
+// The task's raw result as a JS value: objects pass through, strings are read as JSON or Python literals
+function toValue(raw) {
+  if (raw == null || typeof raw !== 'string') return raw;
+  const trimmed = raw.trim();
+  if (!/^[{[]/.test(trimmed)) return raw;
+  try { return JSON.parse(trimmed); } catch (_e) { /* not JSON */ }
+  const literal = parsePythonLiteral(trimmed);
+  return literal === undefined ? raw : literal;
+}
+
+function pairs(flat) {
+  const points = [];
+  for (let k = 0; k + 1 < flat.length; k += 2) points.push([flat[k], flat[k + 1]]);
+  return points;
+}
+
+function parseBoxes(data) {
+  const bboxes = Array.isArray(data?.bboxes) ? data.bboxes : [];
+  const labels = data?.labels || data?.bboxes_labels || [];
+  return bboxes.map((bbox, k) => ({ label: labels[k] ?? '', bbox }));
+}
+
+function parsePolygons(data) {
+  const polygons = Array.isArray(data?.polygons) ? data.polygons : [];
+  const labels = data?.labels || data?.polygons_labels || [];
+  return polygons.flatMap((parts, k) => (Array.isArray(parts) ? parts : [])
+    .map((flat) => ({ label: labels[k] ?? '', points: pairs(flat) })));
+}
+
+function parseOcr(data) {
+  const quads = Array.isArray(data?.quad_boxes) ? data.quad_boxes : [];
+  const labels = data?.labels || [];
+  return quads.map((quad, k) => ({ text: String(labels[k] ?? '').replace(/^<\/s>/, ''), quad: pairs(quad) }));
+}
+
+/**
+ * Parses the raw text output of a Florence task into typed JSON
+ * The backend answers { "<TOKEN>": result }; cascaded tasks add "<CAPTION_TO_PHRASE_GROUNDING>".
+ * @param {object} task - Catalog entry
+ * @param {*} raw - First element of the Gradio response
+ * @returns {object|null} { type, ... } or null when the output cannot be read
+ */
+function parseOutput(task, raw) {
+  const value = toValue(raw);
+  const unwrap = (token) => (value && typeof value === 'object' && !Array.isArray(value) && token in value ? value[token] : value);
+  const data = unwrap(task.token);
+
+  switch (task.output) {
+    case 'text':
+      return typeof data === 'string' ? { type: 'text', text: data } : null;
+    case 'boxes':
+      return data && typeof data === 'object' ? { type: 'boxes', boxes: parseBoxes(data) } : null;
+    case 'polygons':
+      return data && typeof data === 'object' ? { type: 'polygons', polygons: parsePolygons(data) } : null;
+    case 'ocr':
+      return data && typeof data === 'object' ? { type: 'ocr', regions: parseOcr(data) } : null;
+    case 'grounding': {
+      if (!value || typeof value !== 'object') return null;
+      const grounding = value['<CAPTION_TO_PHRASE_GROUNDING>'];
+      return {
+        type: 'grounding',
+        caption: typeof data === 'string' ? data : null,
+        boxes: grounding ? parseBoxes(grounding) : [],
+      };
+    }
+    default:
+      return null;
+  }
+}
+
+module.exports = {
+  TASKS,
+  getModels,
+  getDefaultModel,
+  findTask,
+  resolveRequest,
+  parseOutput,
+};
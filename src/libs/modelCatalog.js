@@ -0,0 +1,68 @@
+// Joins A1111's checkpoint and LoRA lists with our assets rows
+// A1111 reports the file of every entry (sd-models: filename, loras: path). An entry matches the asset
+// with the same local path, or else the asset whose file has the same name: A1111 often sees the
+// shared model directory under a different mount point than this service.
+
+// Last path segment; A1111 may run on Windows
+function fileNameOf(filePath) {
+  return String(filePath || '').split(/[\\/]/).pop().toLowerCase();
+}
+
+function indexAssets(assets) {
+  const byPath = new Map();
+  const byFileName = new Map();
+  for (const asset of assets) {
+    if (!asset.local_path) continue;
+    byPath.set(asset.local_path, asset);
+    // Lists are newest first; keep the newest asset for a file name
+    if (!byFileName.has(fileNameOf(asset.local_path))) byFileName.set(fileNameOf(asset.local_path), asset);
+  }
+  return {byPath, byFileName};
+}
+
+// Metadata of a matching asset, as nested into A1111 entries under `civitai`
+function assetMetadata(asset) {
+  return {
+    asset_id: asset.id,
+    name: asset.name,
+    source_url: asset.source_url,
+    example_prompt: asset.example_prompt,
+    min: asset.min,
+    max: asset.max,
+    sha256: asset.sha256 ?? null,
+    images: asset.images || [],
+  };
+}
+
+/**
+ * Adds the matching asset's metadata to every A1111 entry (civitai: null if there is none)
+ * @param {object[]} entries - A1111 sd-models or loras list
+ * @param {object[]} assets - Assets of the matching kind (db.assets.list)
+ * @param {function(object): string} fileOf - File path of an entry
+ */
+function mergeAssets(entries, assets, fileOf) {
+  const index = indexAssets(assets);
+  return entries.map((entry) => {
+    const file = fileOf(entry);
+    const asset = file ? (index.byPath.get(file) || index.byFileName.get(fileNameOf(file))) : null;
+    return {...entry, civitai: asset ? assetMetadata(asset) : null};
+  });
+}
+
+// Checkpoint ids accepted by the detail endpoint: title ("name.safetensors [hash]"), model_name, hash or sha256
+function findModel(models, modelId) {
+  return models.find((m) => [m.title, m.model_name, m.hash, m.sha256].includes(modelId)) || null;
+}
+
+// LoRA ids accepted by the detail endpoint: name or alias
+function findLora(loras, loraId) {
+  return loras.find((l) => l.name === loraId || l.alias === loraId) || null;
+}
+
+module.exports = {
+  mergeAssets,
+  findModel,
+  findLora,
+  modelFile: (model) => model.filename,
+  loraFile: (lora) => lora.path,
+};
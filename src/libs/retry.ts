@@ -0,0 +1,79 @@
+// Retry and backoff policy helpers shared by the worker and the workflow definitions
+
+export interface RetryPolicy {
+  // Total number of runs of a step, including the first one
+  maxAttempts: number;
+  // Delay before the first retry; doubles with every further retry
+  backoffBaseMs: number;
+  // Upper bound for the delay between two attempts
+  backoffMaxMs: number;
+  // Fraction (0..1) of the delay that is randomized to spread out retries
+  jitter: number;
+  // Error class names that may be retried (matched along the prototype chain). Omit to retry any error.
+  retryableErrors?: string[];
+}
+
+// Matches the historical behaviour: 3 retries after 2, 4 and 8 minutes
+export const DEFAULT_RETRY_POLICY: RetryPolicy = {
+  maxAttempts: 4,
+  backoffBaseMs: 2 * 60_000,
+  backoffMaxMs: 60 * 60_000,
+  jitter: 0,
+};
+
+/**
+ * Merges a step's partial retry configuration over the defaults
+ * @param step - Workflow step, optionally carrying a `retry` object
+ */
+export function resolveRetryPolicy(step?: { retry?: Partial<RetryPolicy> } | null): RetryPolicy {
+  return {
+    ...DEFAULT_RETRY_POLICY,
+    ...(step?.retry || {}),
+  };
+}
+
+/**
+ * Checks whether an error may be retried under the given policy
+ * Unrecoverable errors are never retried.
+ */
+export function isRetryableError(error: unknown, policy: RetryPolicy): boolean {
+  if (error && typeof error === 'object' && (error as { isUnrecoverable?: boolean }).isUnrecoverable) {
+    return false;
+  }
+  if (!Array.isArray(policy.retryableErrors)) return true;
+
+  const names = new Set<string>();
+  if (error && typeof error === 'object') {
+    const errorName = (error as { name?: unknown }).name;
+    if (typeof errorName === 'string') names.add(errorName);
+
+    let proto = Object.getPrototypeOf(error);
+    while (proto && proto !== Object.prototype) {
+      if (proto.constructor?.name) names.add(proto.constructor.name);
+      proto = Object.getPrototypeOf(proto);
+    }
+  }
+
+  return policy.retryableErrors.some((name) => names.has(name));
+}
+
+/**
+ * Computes the delay before the given retry (1 = first retry)
+ * @param retryCount - Number of failures so far, including the current one
+ * @param policy - Resolved retry policy
+ * @param random - Random source in [0, 1), injectable for predictable results
+ */
+export function computeBackoffMs(retryCount: number, policy: RetryPolicy, random: () => number = Math.random): number {
+  const exponent = Math.max(0, retryCount - 1);
+  const delay = Math.min(policy.backoffMaxMs, policy.backoffBaseMs * 2 ** exponent);
+  const jitter = Math.max(0, Math.min(1, policy.jitter || 0));
+  // Spread the delay over [delay * (1 - jitter), delay]
+  return Math.round(delay * (1 - jitter * random()));
+}
+
+/**
+ * ISO timestamp of the next attempt after the given retry
+ */
+export function nextAttemptAt(retryCount: number, policy: RetryPolicy, now: Date = new Date()): string {
+  return new Date(now.getTime() + computeBackoffMs(retryCount, policy)).toISOString();
+}
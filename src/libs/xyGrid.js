@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+
+// XY-grid sweeps: expand one generation request along up to two axes (x = columns, y = rows).
+// Axis fields:
+// - any top-level request field, e.g. cfg_scale, steps, sampler_name, scheduler, seed, denoising_strength
+// - checkpoint: sets override_settings.sd_model_checkpoint
+// - lora:<name>: appends <lora:name:weight> to the prompt
+// - prompt_sr: prompt search/replace; the first value must occur in the prompt and is replaced by each value
+const MAX_AXES = 2;
+const MAX_CELLS = 100;
+
+/**
+ * Validates the axes of a sweep request
+ * @param {Array<{field: string, values: Array}>} axes
+ * @param {object} request - Base generation request the axes apply to
+ * @returns {{axes: Array<{field: string, values: Array}>} | {error: string}}
+ */
+function parseAxes(axes, request = {}) {
+  if (!Array.isArray(axes) || axes.length === 0 || axes.length > MAX_AXES) {
+    return {error: `axes must be an array of 1 to ${MAX_AXES} entries`};
+  }
+  const parsed = [];
+  for (const [idx, axis] of axes.entries()) {
+    const field = axis && typeof axis.field === 'string' ? axis.field.trim() : '';
+    if (!field) return {error: `axes[${idx}].field is required`};
+    if (!Array.isArray(axis.values) || axis.values.length === 0) {
+      return {error: `axes[${idx}].values must be a non-empty array`};
+    }
+    if (axis.values.some((v) => v == null || typeof v === 'object')) {
+      return {error: `axes[${idx}].values must contain strings or numbers`};
+    }
+    if (field.startsWith('lora:') && (field.length === 5 || axis.values.some((v) => !Number.isFinite(Number(v))))) {
+      return {error: `axes[${idx}]: lora axes need a name (lora:<name>) and numeric weights`};
+    }
+    if (field === 'prompt_sr' && !String(request.prompt || '').includes(String(axis.values[0]))) {
+      return {error: `axes[${idx}]: the first prompt_sr value must occur in the prompt`};
+    }
+    if (parsed.some((a) => a.field === field)) return {error: `axes[${idx}].field "${field}" is used twice`};
+    parsed.push({field, values: axis.values});
+  }
+  const cells = parsed.reduce((n, a) => n * a.values.length, 1);
+  if (cells > MAX_CELLS) return {error: `A grid can hold at most ${MAX_CELLS} cells (got ${cells})`};
+  return {axes: parsed};
+}
+
+// Returns a copy of the request with one axis value applied
+function applyAxisValue(request, field, value, axis) {
+  const next = {...request};
+  if (field === 'checkpoint') {
+    next.override_settings = {...(request.override_settings || {}), sd_model_checkpoint: String(value)};
+  } else if (field.startsWith('lora:')) {
+    next.prompt = `${request.prompt || ''} <lora:${field.slice(5)}:${Number(value)}>`.trim();
+  } else if (field === 'prompt_sr') {
+    next.prompt = String(request.prompt || '').split(String(axis.values[0])).join(String(value));
+  } else {
+    next[field] = value;
+  }
+  return next;
+}
+
+/**
+ * Expands a request into grid cells in row-major order (y outer, x inner)
+ * Unless seed is swept, all cells share one seed so they differ only along the axes.
+ * @returns {Array<{x: number, y: number, request: object}>}
+ */
+function expandGrid(request, axes) {
+  const [xAxis, yAxis = {field: null, values: [null]}] = axes;
+  const base = {...request};
+  if (!axes.some((a) => a.field === 'seed') && (base.seed === undefined || base.seed < 0)) {
+    base.seed = crypto.randomInt(0, 0xFFFFFFFF);
+  }
+
+  const cells = [];
+  yAxis.values.forEach((yValue, y) => {
+    const row = yAxis.field ? applyAxisValue(base, yAxis.field, yValue, yAxis) : base;
+    xAxis.values.forEach((xValue, x) => {
+      cells.push({x, y, request: applyAxisValue(row, xAxis.field, xValue, xAxis)});
+    });
+  });
+  return cells;
+}
+
+// Human-readable axis label, e.g. "cfg_scale: 7" or "lora:detail: 0.5"
+function axisLabel(field, value) {
+  return `${field}: ${value}`;
+}
+
+module.exports = {
+  MAX_CELLS,
+  parseAxes,
+  expandGrid,
+  axisLabel,
+};
@@ -1,6 +1,13 @@
 type AssetDownloadRequest = {
   kind?: string,
   source_url?: string,
+  // Deduplication key, see assets.source_key
+  source_key?: string,
+  // Download even if the asset exists, replacing its file
+  force?: boolean,
+  // Direct downloads only: bearer token and expected SHA256
+  auth_token?: string,
+  sha256?: string,
 }
 
 type GenerationRequest = {
@@ -19,9 +26,17 @@ type Job = {
   workflow?: string,
   retry_count?: number,
   last_retry?: string,
+  next_attempt_at?: string | null,
+  failed_step?: string | null,
+  priority?: number,
+  client?: string | null,
+  run_at?: string | null,
+  batch_uuid?: string | null,
   ready: number,
   ready_at: string
   created_at?: string,
+  lease_owner?: string,
+  lease_expires_at?: string,
 }
 
 export {Job};
\ No newline at end of file
@@ -0,0 +1,19 @@
+import type {RetryPolicy} from "../libs/retry";
+
+type WorkflowStep = {
+  process: string,
+  success: string,
+  failure?: string,
+  incrementFailureCounter?: boolean,
+  // Overrides DEFAULT_RETRY_POLICY from libs/retry for this step
+  retry?: Partial<RetryPolicy>,
+  // The worker aborts the processor after this long and fails (or retries) the step with a timeout error
+  timeoutMs?: number,
+  // State to go to instead of success while the processor's hasMoreWork(result) is true
+  loop?: string,
+}
+
+// Maps each waiting state (e.g. 'pending', 'ready-for-webhook') to the step that runs from it
+type Workflow = Record<string, WorkflowStep>;
+
+export {WorkflowStep, Workflow};
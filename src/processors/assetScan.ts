@@ -0,0 +1,160 @@
+import {Job} from "../models/Job";
+import path from "path";
+import fs from "fs";
+import {pathToFileURL} from "url";
+import createLogger from '../libs/logger';
+import {getDbApi} from '../libs/db';
+import UnrecoverableError from "../errors/unrecoverable-error";
+import CivitAiDownloadProcessor, {hashFile} from "./civitaiDownload";
+import {KINDS, assetDirectory, isAssetKind} from '../libs/assetKinds';
+import {ALLOWED_EXTENSIONS} from '../libs/directDownload';
+import {
+  type CivitAIConfig,
+  type CivitAIVersion,
+  getCivitAIConfig,
+  fetchCivitAIVersionByHash,
+  civitaiVersionUrl,
+  extractAssetMetadata,
+} from '../libs/civitai';
+
+const log = createLogger('proc:asset scan');
+
+type ScanSummary = {
+  scanned: number,
+  // Asset ids of the files imported with CivitAI metadata
+  matched: number[],
+  // Asset ids of the files CivitAI does not know
+  local_only: number[],
+  // Files skipped because an asset with the same path, hash or CivitAI version exists
+  skipped: number,
+  // Files left without an asset because the CivitAI lookup failed; the next scan tries them again
+  failed: number,
+};
+
+const isInside = (file: string, directory: string) => !path.relative(directory, file).startsWith('..');
+
+// Model files below a directory, in subdirectories too (A1111 shows those as folders), except for the
+// directories of other kinds: with the A1111 layout the LoRA and VAE directories sit inside models/
+async function listModelFiles(kind: string): Promise<string[]> {
+  const directory = path.resolve(assetDirectory(kind));
+  const otherDirectories = KINDS
+    .map((other) => path.resolve(assetDirectory(other)))
+    .filter((other) => other !== directory && isInside(other, directory));
+  const entries = await fs.promises.readdir(directory, {withFileTypes: true, recursive: true});
+  return entries
+    .filter((entry) => entry.isFile())
+    .map((entry) => path.join(entry.parentPath, entry.name))
+    .filter((file) => ALLOWED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+    .filter((file) => !otherDirectories.some((other) => isInside(file, other)))
+    .sort();
+}
+
+// Without CivitAI credentials every file is imported as a local-only asset
+function civitaiConfigOrNull(): CivitAIConfig | null {
+  try {
+    return getCivitAIConfig();
+  } catch (error) {
+    log.warn('No CivitAI lookup:', error instanceof Error ? error.message : String(error));
+    return null;
+  }
+}
+
+/**
+ * Imports model files that were copied into the asset directories by hand
+ * Every file without an asset is hashed and looked up on CivitAI by its SHA256. Matches get the version's
+ * metadata, images and (if there is none yet) a preview image; other files become local-only assets with
+ * a file:// source_url. Files that are already known are skipped, so a retried scan continues where it stopped.
+ */
+class AssetScanProcessor extends CivitAiDownloadProcessor {
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal) {
+    const {kinds} = (job.request || {}) as { kinds?: string[] };
+    const selected = Array.isArray(kinds) && kinds.length ? kinds : KINDS;
+    const unknown = selected.filter((kind) => !isAssetKind(kind));
+    if (unknown.length) throw new UnrecoverableError(`Unknown asset kinds: ${unknown.join(', ')}`);
+
+    const files: {kind: string, file: string}[] = [];
+    for (const kind of selected) {
+      if (!fs.existsSync(assetDirectory(kind))) continue;
+      for (const file of await listModelFiles(kind)) files.push({kind, file});
+    }
+
+    const civitaiConfig = civitaiConfigOrNull();
+    const summary: ScanSummary = {scanned: files.length, matched: [], local_only: [], skipped: 0, failed: 0};
+    const assets = getDbApi().assets;
+
+    for (const [index, {kind, file}] of files.entries()) {
+      signal?.throwIfAborted();
+      if (assets.findByLocalPath(file)) {
+        summary.skipped += 1;
+        continue;
+      }
+
+      const sha256 = (await hashFile(file)).digest('hex');
+      if (assets.findBySha256(sha256)) {
+        log.info('Skipping', file, '- the same file is already an asset');
+        summary.skipped += 1;
+        continue;
+      }
+
+      let versionData: CivitAIVersion | null = null;
+      try {
+        versionData = civitaiConfig ? await fetchCivitAIVersionByHash(sha256, civitaiConfig) : null;
+      } catch (error) {
+        // Recording the file as local-only would hide a match for good; leave it to the next scan
+        log.warn('CivitAI lookup failed for', file, '-', error instanceof Error ? error.message : String(error));
+        summary.failed += 1;
+        getDbApi().jobs.updateProgress(job.uuid, (index + 1) / files.length);
+        continue;
+      }
+      const assetId = versionData
+        ? await this.importCivitaiFile(kind, file, sha256, versionData)
+        : this.createAsset(kind, file, sha256, null);
+      if (assetId == null) summary.skipped += 1;
+      else if (versionData) summary.matched.push(assetId);
+      else summary.local_only.push(assetId);
+
+      getDbApi().jobs.updateProgress(job.uuid, (index + 1) / files.length);
+    }
+
+    log.info('Scanned', files.length, 'files:', summary.matched.length, 'matched on CivitAI,',
+      summary.local_only.length, 'local only,', summary.skipped, 'skipped,', summary.failed, 'failed');
+    return summary;
+  }
+
+  private async importCivitaiFile(kind: string, file: string, sha256: string, versionData: CivitAIVersion): Promise<number | null> {
+    const assetId = this.createAsset(kind, file, sha256, versionData);
+    if (assetId == null) return null;
+    this.saveImageMetadata(versionData, assetId);
+
+    const preview = path.join(path.dirname(file), `${path.basename(file, path.extname(file))}.preview.jpeg`);
+    if (!fs.existsSync(preview)) await this.savePreviewImage(versionData, file);
+    return assetId;
+  }
+
+  // Creates the asset row; null if another asset already owns the CivitAI version or the file URL
+  private createAsset(kind: string, file: string, sha256: string, versionData: CivitAIVersion | null): number | null {
+    const sourceUrl = versionData ? civitaiVersionUrl(versionData) : pathToFileURL(file).toString();
+    const sourceKey = versionData ? `civitai:${versionData.id}` : sourceUrl;
+    if (getDbApi().assets.findBySourceKey(sourceKey)) {
+      log.info('Skipping', file, '- an asset for', sourceKey, 'exists already');
+      return null;
+    }
+
+    const {name, examplePrompt} = versionData
+      ? extractAssetMetadata(versionData)
+      : {name: path.basename(file, path.extname(file)), examplePrompt: null};
+    return getDbApi().assets.create({
+      kind,
+      name,
+      source_url: sourceUrl,
+      source_key: sourceKey,
+      example_prompt: examplePrompt,
+      min: 1,
+      max: 1,
+      local_path: file,
+      sha256,
+    });
+  }
+}
+
+export default AssetScanProcessor;
@@ -0,0 +1,36 @@
+import ProcessorInterface from "./processorInterface";
+import {Job} from "../models/Job";
+import {getDbApi} from '../libs/db';
+import UnrecoverableError from "../errors/unrecoverable-error";
+
+// Sends the single notification of a finished batch. Images are not inlined (a batch can hold
+// hundreds of them); receivers fetch them per job from GET /sdapi/v1/jobs/{uuid}.
+class BatchWebhookProcessor implements ProcessorInterface {
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal) {
+    const batchUuid = (job.request as { batch_uuid?: string }).batch_uuid;
+    const batch = batchUuid ? getDbApi().batches.get(batchUuid) : null;
+    if (!batch) throw new UnrecoverableError(`Batch not found: ${batchUuid}`);
+    if (!job.webhookUrl) return {};
+
+    const headers: Record<string, string> = { 'content-type': 'application/json' };
+    if (job.webhookKey) headers['x-webhook-key'] = job.webhookKey as string;
+    const payload = {
+      uuid: batch.uuid,
+      batch_status: batch.status,
+      total: batch.total,
+      counts: batch.counts,
+      completed_at: batch.completed_at,
+      jobs: batch.jobs.map((j: any) => ({
+        uuid: j.uuid,
+        job_status: j.status,
+        seed: (j.result && j.result.seed) ?? null,
+        error: j.error,
+      })),
+    };
+    const resp = await fetch(job.webhookUrl as string, { method: 'POST', headers, body: JSON.stringify(payload), signal });
+    if (!resp.ok) throw new Error(`Batch webhook responded with ${resp.status}`);
+    return {delivered_at: new Date().toISOString()};
+  }
+}
+
+export default BatchWebhookProcessor;
@@ -3,8 +3,9 @@ import {Job} from "../models/Job";
 import path from "path";
 import createLogger from '../libs/logger';
 import fs from "fs";
+import crypto from "crypto";
 import {getDbApi} from '../libs/db';
-import {refreshLoras, refreshCheckpoints} from '../libs/a1111';
+import {assetDirectory, isAssetKind, refreshAssets} from '../libs/assetKinds';
 import UnrecoverableError from "../errors/unrecoverable-error";
 import {
   type CivitAIVersion,
@@ -13,50 +14,82 @@ import {
   fetchCivitAIVersion,
   selectPrimaryFile,
   extractAssetMetadata,
+  assetSourceKey,
 } from '../libs/civitai';
 
 const log = createLogger('proc:CivitAI download');
 
-interface AssetRecord {
+export interface AssetRecord {
   asset_id: number;
   kind: string;
   name: string | null;
-  local_path: string;
+  local_path: string | null;
   source_url: string;
+  sha256: string | null;
+  // Set when no file was downloaded because the asset already existed
+  existing?: boolean;
+}
+
+// Asset row as returned by the db API
+export interface StoredAsset {
+  id: number;
+  kind: string;
+  name: string | null;
+  source_url: string;
+  local_path: string | null;
+  sha256: string | null;
 }
 
 interface DownloadProgress {
   (progress: number): void;
 }
 
-// Constants
-const ASSET_KIND = {
-  LORA: 'lora',
-  MODEL: 'model',
-} as const;
+export interface DownloadResult {
+  path: string;
+  sha256: string;
+}
+
+// Running SHA256 over the bytes already in a file
+export async function hashFile(filePath: string): Promise<crypto.Hash> {
+  const hash = crypto.createHash('sha256');
+  for await (const chunk of fs.createReadStream(filePath)) hash.update(chunk as Buffer);
+  return hash;
+}
+
+// Partial download of a URL: "<file>.<hash of the URL>.part"
+// The name ties the partial data to its source, so another source with the same file name never resumes it
+// (asset downloads of one source are deduplicated, so only one job writes to a given .part file).
+export function partialPath(destinationFile: string, downloadUrl: string): string {
+  const sourceHash = crypto.createHash('sha256').update(downloadUrl).digest('hex').slice(0, 16);
+  return `${destinationFile}.${sourceHash}.part`;
+}
 
 const URN_PREFIX = 'urn:air:';
 
 class CivitAiDownloadProcessor implements ProcessorInterface {
-  async run(job: Job) {
-    const filepath = await this.processAssetDownload(job);
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal): Promise<any> {
+    const filepath = await this.processAssetDownload(job, signal);
     return { filepath };
   }
 
-  private getDirectoryConfig() {
-    return {
-      lorasDir: process.env.LORAS_DIR || path.join(process.cwd(), 'loras'),
-      modelsDir: process.env.MODELS_DIR || path.join(process.cwd(), 'models'),
-    };
-  }
-
-  uniquePath(directory: string, filename: string): string {
+  // Free path for a file in the directory; with downloadUrl, a path whose partial download belongs to another
+  // source counts as taken, while this source's own .part file keeps the path so a retry can resume it
+  uniquePath(directory: string, filename: string, downloadUrl?: string): string {
     const baseName = path.basename(filename, path.extname(filename));
     const extension = path.extname(filename);
+    const entries = downloadUrl && fs.existsSync(directory) ? fs.readdirSync(directory) : [];
+    const isTaken = (candidate: string) => {
+      if (fs.existsSync(candidate)) return true;
+      if (!downloadUrl) return false;
+      const prefix = `${path.basename(candidate)}.`;
+      const ownPart = path.basename(partialPath(candidate, downloadUrl));
+      return entries.some((name) => name !== ownPart && name.startsWith(prefix)
+        && /^[0-9a-f]{16}\.part$/.test(name.slice(prefix.length)));
+    };
     let candidatePath = path.join(directory, filename);
     let counter = 1;
 
-    while (fs.existsSync(candidatePath)) {
+    while (isTaken(candidatePath)) {
       candidatePath = path.join(directory, `${baseName} (${counter})${extension}`);
       counter += 1;
     }
@@ -64,24 +97,63 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
     return candidatePath;
   }
 
+  /**
+   * Streams a URL into destinationFile via a `.part` file (see partialPath)
+   * A `.part` file left by an earlier attempt is resumed with an HTTP Range request; it is kept on errors
+   * (except cancellation and hash mismatches) so the next retry continues where this one stopped.
+   * The SHA256 of the complete file is checked against expectedSha256 (if given) before the rename.
+   */
   async downloadToFile(
     downloadUrl: string,
     destinationFile: string,
     headers: Record<string, string> = {},
-    onProgress: DownloadProgress | null = null
-  ): Promise<string> {
-    const response = await fetch(downloadUrl, { headers });
+    onProgress: DownloadProgress | null = null,
+    signal?: AbortSignal,
+    expectedSha256: string | null = null
+  ): Promise<DownloadResult> {
+    await fs.promises.mkdir(path.dirname(destinationFile), { recursive: true });
+    const tempPath = partialPath(destinationFile, downloadUrl);
+    const partialBytes = fs.existsSync(tempPath) ? fs.statSync(tempPath).size : 0;
+
+    // The signal aborts both the request and the body stream, so a canceled job stops downloading immediately
+    const response = await fetch(downloadUrl, {
+      headers: partialBytes > 0 ? { ...headers, range: `bytes=${partialBytes}-` } : headers,
+      signal,
+    });
+
+    if (response.status === 416 && partialBytes > 0) {
+      // The .part file is already complete, or longer than the remote file
+      const total = Number(/\/(\d+)$/.exec(response.headers.get('content-range') || '')?.[1]);
+      if (total === partialBytes) {
+        return this.finishDownload(tempPath, destinationFile, await hashFile(tempPath), expectedSha256, onProgress);
+      }
+      await fs.promises.unlink(tempPath);
+      return this.downloadToFile(downloadUrl, destinationFile, headers, onProgress, signal, expectedSha256);
+    }
 
     if (!response.ok) {
       throw new Error(`Download failed: ${response.status} ${response.statusText}`);
     }
 
-    await fs.promises.mkdir(path.dirname(destinationFile), { recursive: true });
-    const tempPath = `${destinationFile}.part`;
-    const outputStream = fs.createWriteStream(tempPath);
+    // 206 continues the .part file; a server without Range support answers 200 with the whole file
+    const resumed = response.status === 206 && partialBytes > 0;
+    if (resumed) {
+      const rangeStart = Number(/^bytes (\d+)-/.exec(response.headers.get('content-range') || '')?.[1]);
+      if (rangeStart !== partialBytes) {
+        // Appending would corrupt the file: download it again from the start
+        log.warn('Unexpected Content-Range for', destinationFile, '- restarting the download');
+        await response.body?.cancel().catch(() => {});
+        await fs.promises.unlink(tempPath);
+        return this.downloadToFile(downloadUrl, destinationFile, headers, onProgress, signal, expectedSha256);
+      }
+    }
+    if (resumed) log.info('Resuming download of', destinationFile, 'at byte', partialBytes);
+    const hash = resumed ? await hashFile(tempPath) : crypto.createHash('sha256');
+    const outputStream = fs.createWriteStream(tempPath, { flags: resumed ? 'a' : 'w' });
 
-    const totalBytes = Number(response.headers.get('content-length') || 0);
-    let receivedBytes = 0;
+    const offset = resumed ? partialBytes : 0;
+    const totalBytes = Number(response.headers.get('content-length') || 0) + offset;
+    let receivedBytes = offset;
 
     const reportProgress = () => {
       if (typeof onProgress === 'function' && totalBytes > 0) {
@@ -98,6 +170,7 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
       if (!response.body || !response.body.getReader) {
         // Fallback: buffer the whole body (no incremental progress)
         const buffer = Buffer.from(await response.arrayBuffer());
+        hash.update(buffer);
         await new Promise<void>((resolve, reject) => {
           outputStream.write(buffer, (error) => (error ? reject(error) : resolve()));
         });
@@ -110,8 +183,10 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
 
           if (value && value.length) {
             receivedBytes += value.length;
+            const chunk = Buffer.from(value);
+            hash.update(chunk);
             await new Promise<void>((resolve, reject) => {
-              outputStream.write(Buffer.from(value), (error) => (error ? reject(error) : resolve()));
+              outputStream.write(chunk, (error) => (error ? reject(error) : resolve()));
             });
             reportProgress();
           }
@@ -121,19 +196,6 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
       await new Promise<void>((resolve, reject) =>
         outputStream.end((error) => (error ? reject(error) : resolve()))
       );
-
-      await fs.promises.rename(tempPath, destinationFile);
-
-      // Final progress update
-      if (typeof onProgress === 'function') {
-        try {
-          onProgress(1);
-        } catch (_error) {
-          // Ignore progress callback errors
-        }
-      }
-
-      return destinationFile;
     } catch (error) {
       try {
         outputStream.destroy();
@@ -141,27 +203,54 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
         // Ignore cleanup errors
       }
 
-      try {
-        if (fs.existsSync(tempPath)) {
-          fs.unlinkSync(tempPath);
-        }
-      } catch (_error) {
-        // Ignore cleanup errors
+      // Keep the partial file for the next attempt, unless the job was canceled
+      if ((signal?.reason as { isCanceled?: boolean } | undefined)?.isCanceled) {
+        await fs.promises.rm(tempPath, { force: true }).catch(() => {});
       }
 
       throw error;
     }
+
+    return this.finishDownload(tempPath, destinationFile, hash, expectedSha256, onProgress);
   }
 
-  private getDestinationPath(assetKind: string, fileName: string, directoryConfig: ReturnType<typeof this.getDirectoryConfig>): string {
-    const destinationDirectory = assetKind === ASSET_KIND.LORA
-      ? directoryConfig.lorasDir
-      : directoryConfig.modelsDir;
+  private async finishDownload(
+    tempPath: string,
+    destinationFile: string,
+    hash: crypto.Hash,
+    expectedSha256: string | null,
+    onProgress: DownloadProgress | null
+  ): Promise<DownloadResult> {
+    const sha256 = hash.digest('hex');
+    if (expectedSha256 && sha256 !== expectedSha256.toLowerCase()) {
+      // The data is corrupt or not the published file: start over on the next download
+      await fs.promises.rm(tempPath, { force: true });
+      throw new UnrecoverableError(
+        `SHA256 mismatch for ${path.basename(destinationFile)}: expected ${expectedSha256.toLowerCase()}, got ${sha256}`
+      );
+    }
+
+    await fs.promises.rename(tempPath, destinationFile);
+
+    // Final progress update
+    if (typeof onProgress === 'function') {
+      try {
+        onProgress(1);
+      } catch (_error) {
+        // Ignore progress callback errors
+      }
+    }
+
+    return { path: destinationFile, sha256 };
+  }
 
-    return this.uniquePath(destinationDirectory, fileName);
+  // Free path for the file in the target directory of the asset kind (see assetKinds)
+  protected getDestinationPath(assetKind: string, fileName: string, downloadUrl?: string): string {
+    if (!isAssetKind(assetKind)) throw new UnrecoverableError(`Unknown asset kind: ${assetKind}`);
+    return this.uniquePath(assetDirectory(assetKind), fileName, downloadUrl);
   }
 
-  private async savePreviewImage(
+  protected async savePreviewImage(
     versionData: CivitAIVersion,
     assetPath: string
   ): Promise<void> {
@@ -187,7 +276,7 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
     }
   }
 
-  private saveImageMetadata(versionData: CivitAIVersion, assetId: number): void {
+  protected saveImageMetadata(versionData: CivitAIVersion, assetId: number): void {
     const images = Array.isArray(versionData.images) ? versionData.images : [];
 
     for (const image of images) {
@@ -212,28 +301,99 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
     assetKind: string,
     versionData: CivitAIVersion,
     sourceUrl: string,
-    destinationPath: string
-  ): number {
+    destinationPath: string,
+    sha256: string
+  ): number | StoredAsset {
     const { name, examplePrompt } = extractAssetMetadata(versionData);
 
-    return getDbApi().assets.create({
+    return this.insertAsset({
       kind: assetKind,
       name,
       source_url: sourceUrl,
+      source_key: assetSourceKey(sourceUrl),
       example_prompt: examplePrompt,
       min: 1,
       max: 1,
       local_path: destinationPath,
+      sha256,
     });
   }
 
-  private async refreshA1111Assets(assetKind: string): Promise<void> {
+  /**
+   * Inserts an asset row; returns its id
+   * If another job stored the same source in the meantime (unique source_key), the downloaded file is
+   * removed and that job's asset is returned instead.
+   */
+  protected insertAsset(asset: Record<string, unknown>): number | StoredAsset {
     try {
-      if (assetKind === ASSET_KIND.LORA) {
-        await refreshLoras();
-      } else {
-        // Treat all non-lora as checkpoints/models
-        await refreshCheckpoints();
+      return getDbApi().assets.create(asset);
+    } catch (error) {
+      const code = error && typeof error === 'object' && 'code' in error ? error.code : null;
+      const winner = code === 'SQLITE_CONSTRAINT_UNIQUE' ? getDbApi().assets.findBySourceKey(asset.source_key) : null;
+      if (!winner) throw error;
+      log.info('Asset', asset.source_key, 'was stored by another job; discarding this download');
+      this.discardFile(String(asset.local_path), winner);
+      return this.checkKind(winner, String(asset.kind));
+    }
+  }
+
+  /**
+   * Asset with the same source (unless forced) or the same file content
+   * Throws if that asset is of another kind; a file downloaded for this job (downloadedFile) is removed first.
+   */
+  protected findExistingAsset(
+    sourceKey: string,
+    sha256: string | null,
+    force: boolean,
+    kind: string,
+    downloadedFile: string | null = null
+  ): StoredAsset | null {
+    const assets = getDbApi().assets;
+    const existing = (!force && assets.findBySourceKey(sourceKey)) || (!force && sha256 && assets.findBySha256(sha256)) || null;
+    if (existing && existing.kind !== kind && downloadedFile) this.discardFile(downloadedFile, existing);
+    return existing ? this.checkKind(existing, kind) : null;
+  }
+
+  // Asset whose file a forced download replaces
+  protected findReplacedAsset(sourceKey: string, force: boolean, kind: string): StoredAsset | null {
+    const replaced = force ? getDbApi().assets.findBySourceKey(sourceKey) : null;
+    return replaced ? this.checkKind(replaced, kind) : null;
+  }
+
+  // An existing asset only stands in for the request if it is of the requested kind
+  private checkKind(asset: StoredAsset, kind: string): StoredAsset {
+    if (asset.kind !== kind) {
+      throw new UnrecoverableError(`This file is already stored as ${asset.kind} asset ${asset.id}, not as ${kind}`);
+    }
+    return asset;
+  }
+
+  // Deletes a downloaded file that duplicates an existing asset
+  protected discardFile(filePath: string, existing: StoredAsset): void {
+    if (!filePath || filePath === existing.local_path) return;
+    try {
+      fs.rmSync(filePath, { force: true });
+    } catch (error) {
+      log.warn('Could not remove duplicate download', filePath, error);
+    }
+  }
+
+  protected existingAssetRecord(asset: StoredAsset): AssetRecord {
+    return {
+      asset_id: asset.id,
+      kind: asset.kind,
+      name: asset.name,
+      local_path: asset.local_path,
+      source_url: asset.source_url,
+      sha256: asset.sha256,
+      existing: true,
+    };
+  }
+
+  protected async refreshA1111Assets(assetKind: string): Promise<void> {
+    try {
+      if (!(await refreshAssets(assetKind))) {
+        log.info(`A1111 cannot reload ${assetKind} files; they show up after a restart or a refresh in its UI`);
       }
     } catch (error) {
       // Do not fail the job if the refresh endpoint is unavailable; just log
@@ -244,8 +404,8 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
     }
   }
 
-  async processAssetDownload(job: Job): Promise<AssetRecord> {
-    const { kind, source_url } = job.request || {};
+  async processAssetDownload(job: Job, signal?: AbortSignal): Promise<AssetRecord> {
+    const { kind, source_url, force } = job.request || {};
     const assetKind = String(kind);
     const sourceUrl = String(source_url);
 
@@ -259,8 +419,12 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
       throw new UnrecoverableError('CivitAI version id not specified');
     }
 
+    // The server already checked for duplicates; this catches jobs that were queued side by side
+    const sourceKey = assetSourceKey(sourceUrl);
+    const known = this.findExistingAsset(sourceKey, null, !!force, assetKind);
+    if (known) return this.existingAssetRecord(known);
+
     const civitaiConfig = getCivitAIConfig();
-    const directoryConfig = this.getDirectoryConfig();
 
     // Fetch version metadata from CivitAI
     const versionData = await fetchCivitAIVersion(versionId, civitaiConfig);
@@ -268,10 +432,12 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
     // Select the primary file to download (wrap in UnrecoverableError if it fails)
     let fileName: string;
     let downloadUrl: string;
+    let expectedSha256: string | null;
     try {
       const result = selectPrimaryFile(versionData, versionId);
       fileName = result.fileName;
       downloadUrl = result.downloadUrl;
+      expectedSha256 = result.sha256;
     } catch (error) {
       const message = error && typeof error === 'object' && 'message' in error
         ? String(error.message)
@@ -279,39 +445,68 @@ class CivitAiDownloadProcessor implements ProcessorInterface {
       throw new UnrecoverableError(message);
     }
 
-    // Determine destination path
-    const destinationPath = this.getDestinationPath(assetKind, fileName, directoryConfig);
+    // The same file may already be on disk, e.g. downloaded from a direct link
+    const sameFile = this.findExistingAsset(sourceKey, expectedSha256, !!force, assetKind);
+    if (sameFile) return this.existingAssetRecord(sameFile);
+
+    // A forced download replaces the file of the existing asset
+    const replaced = this.findReplacedAsset(sourceKey, !!force, assetKind);
+    const destinationPath = replaced?.local_path || this.getDestinationPath(assetKind, fileName, downloadUrl);
 
-    // Download the file
-    await this.downloadToFile(
+    // Download the file (resumes a partial download of an earlier attempt) and verify it against CivitAI's hash
+    const { sha256 } = await this.downloadToFile(
       downloadUrl,
       destinationPath,
       { authorization: `Bearer ${civitaiConfig.apiToken}` },
       (progress) => {
         getDbApi().jobs.updateProgress(job.uuid, progress);
-      }
+      },
+      signal,
+      expectedSha256
     );
 
-    // Create asset record in database
-    const assetId = this.createAssetRecord(assetKind, versionData, sourceUrl, destinationPath);
+    // Without a published hash the content is only known now: the same file may exist under another source
+    const duplicate = replaced ? null : this.findExistingAsset(sourceKey, sha256, !!force, assetKind, destinationPath);
+    if (duplicate) {
+      this.discardFile(destinationPath, duplicate);
+      return this.existingAssetRecord(duplicate);
+    }
+
+    const { name, examplePrompt } = extractAssetMetadata(versionData);
+    let assetId: number;
+    if (replaced) {
+      getDbApi().assets.update(replaced.id, {
+        name,
+        example_prompt: examplePrompt,
+        source_url: sourceUrl,
+        local_path: destinationPath,
+        sha256,
+      });
+      assetId = replaced.id;
+    } else {
+      // Create asset record in database
+      const created = this.createAssetRecord(assetKind, versionData, sourceUrl, destinationPath, sha256);
+      if (typeof created !== 'number') return this.existingAssetRecord(created);
+      assetId = created;
+
+      // Save image metadata
+      this.saveImageMetadata(versionData, assetId);
+    }
 
     // Save preview image (non-blocking)
     await this.savePreviewImage(versionData, destinationPath);
 
-    // Save image metadata
-    this.saveImageMetadata(versionData, assetId);
-
     // Refresh A1111 asset list
     await this.refreshA1111Assets(assetKind);
 
     // Return compact result object to store with the job
-    const { name } = extractAssetMetadata(versionData);
     return {
       asset_id: assetId,
       kind: assetKind,
       name,
       local_path: destinationPath,
       source_url: sourceUrl,
+      sha256,
     };
   }
 }
@@ -12,16 +12,19 @@ interface AutoTagResponse {
 
 class DonbooruAutoTagProcessor implements ProcessorInterface {
   // Fetch with retry mechanism and timeout
-  async fetchWithRetry(url: string, options: RequestInit, maxRetries = 3, timeoutMs = 25_000): Promise<Response> {
+  async fetchWithRetry(url: string, options: RequestInit, maxRetries = 3, timeoutMs = 25_000, signal?: AbortSignal): Promise<Response> {
     let lastError: Error | null = null;
 
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
+        const timeoutSignal = AbortSignal.timeout(timeoutMs);
         return await fetch(url, {
           ...options,
-          signal: AbortSignal.timeout(timeoutMs),
+          signal: signal ? AbortSignal.any([timeoutSignal, signal]) : timeoutSignal,
         });
       } catch (error) {
+        // The step itself was aborted (timeout or cancellation): do not retry
+        if (signal?.aborted) throw signal.reason;
         lastError = error instanceof Error ? error : new Error(String(error));
         log.warn(`Auto-tag API request failed (attempt ${attempt}/${maxRetries}): ${lastError.message}`);
 
@@ -36,7 +39,7 @@ class DonbooruAutoTagProcessor implements ProcessorInterface {
     throw lastError || new Error('All retry attempts failed');
   }
 
-  async run(job: Job) {
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal) {
     const apiEndpoint = process.env.DONBOORU_AUTOTAG_ENDPOINT || 'https://booru.svc.cklio.com/evaluate';
 
     // Get existing result data
@@ -77,7 +80,7 @@ class DonbooruAutoTagProcessor implements ProcessorInterface {
       const response = await this.fetchWithRetry(apiEndpoint, {
         method: 'POST',
         body: formData,
-      }, 3, 20_000);
+      }, 3, 20_000, signal);
 
       if (!response.ok) {
         throw new Error(`Auto-tag API failed: ${response.status} ${response.statusText}`);
@@ -96,6 +99,8 @@ class DonbooruAutoTagProcessor implements ProcessorInterface {
         tags,
       };
     } catch (error) {
+      if (signal?.aborted) throw signal.reason;
+
       const errorMessage = error && typeof error === 'object' && 'message' in error
         ? error.message
         : String(error);
@@ -4,26 +4,50 @@ import WebhookProcessor from "./webhook";
 import UploadProcessor from "./uploading";
 import NoopProcessor from "./noop";
 import CivitAiDownloadProcessor from "./civitaiDownload";
+import UrlDownloadProcessor from "./urlDownload";
+import AssetScanProcessor from "./assetScan";
 import DonbooruAutoTagProcessor from "./donbooruAutoTag";
+import BatchWebhookProcessor from "./batchWebhook";
+import GridComposeProcessor from "./gridCompose";
+import PipelineStageProcessor from "./pipelineStage";
+import UpscaleProcessor from "./upscale";
+import FlorenceProcessor from "./florence";
+
+// Active (process) state -> processor; workflows can only use states registered here
+const registry: Record<string, () => ProcessorInterface> = {
+  'noop': () => new NoopProcessor(),
+  'generating': () => new ImageGenerationProcessor(),
+  'uploading': () => new UploadProcessor(),
+  'webhook': () => new WebhookProcessor(),
+  'civitai-download': () => new CivitAiDownloadProcessor(),
+  'url-download': () => new UrlDownloadProcessor(),
+  'asset-scan': () => new AssetScanProcessor(),
+  'donbooru-autotag': () => new DonbooruAutoTagProcessor(),
+  'batch-webhook': () => new BatchWebhookProcessor(),
+  'grid-compose': () => new GridComposeProcessor(),
+  'pipeline-stage': () => new PipelineStageProcessor(),
+  'upscaling': () => new UpscaleProcessor(),
+  'florence': () => new FlorenceProcessor(),
+};
 
 class ProcessorFactory {
   static createProcessor(activeState: string): ProcessorInterface {
-    switch (activeState) {
-      case 'noop':
-        return new NoopProcessor();
-      case 'generating':
-        return new ImageGenerationProcessor();
-      case 'uploading':
-        return new UploadProcessor();
-      case 'webhook':
-        return new WebhookProcessor();
-      case 'civitai-download':
-        return new CivitAiDownloadProcessor();
-      case 'donbooru-autotag':
-        return new DonbooruAutoTagProcessor();
-      default:
-        throw new Error(`Unknown active state: ${activeState}`);
-    }
+    const create = registry[activeState];
+    if (!create) throw new Error(`Unknown active state: ${activeState}`);
+    return create();
+  }
+
+  static isRegistered(activeState: string): boolean {
+    return Object.prototype.hasOwnProperty.call(registry, activeState);
+  }
+
+  static activeStates(): string[] {
+    return Object.keys(registry);
+  }
+
+  // Active states whose processor needs an Automatic1111 backend; the worker pauses them while no backend is healthy
+  static usesAutomatic1111(activeState: string): boolean {
+    return ['generating', 'pipeline-stage', 'upscaling'].includes(activeState);
   }
 }
 
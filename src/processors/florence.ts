@@ -0,0 +1,32 @@
+import ProcessorInterface from "./processorInterface";
+import {Job} from "../models/Job";
+import createLogger from '../libs/logger';
+import florence from '../libs/florence';
+import florenceTasks from '../libs/florenceTasks';
+import UnrecoverableError from "../errors/unrecoverable-error";
+const log = createLogger('proc:florence');
+
+type FlorenceRequest = {
+  imageUrl?: string,
+  mode?: string,
+  task?: string,
+  prompt?: string,
+  model?: string,
+}
+
+// Runs a Florence-2 task (caption, detection, segmentation, OCR) against the Gradio backend
+class FlorenceProcessor implements ProcessorInterface {
+  async run(job: Job, setProgress?: (progress: number) => void, signal?: AbortSignal) {
+    const {imageUrl, mode, task, prompt, model} = job.request as FlorenceRequest;
+    // Jobs queued before a task or model was removed from the catalog can never succeed
+    const resolved = florenceTasks.resolveRequest({task, mode, prompt, model});
+    if ('error' in resolved) throw new UnrecoverableError(resolved.error);
+    setProgress?.(0.1);
+    log.debug('Running Florence task', task, 'for job', job.uuid);
+    // Scale Gradio's progress into [0.1, 0.9]
+    const onProgress = (fraction: number) => setProgress?.(0.1 + fraction * 0.8);
+    return florence.run({imageUrl, mode, task, prompt, model}, {signal, onProgress});
+  }
+}
+
+export default FlorenceProcessor;
@@ -0,0 +1,93 @@
+import ProcessorInterface from "./processorInterface";
+import {Job} from "../models/Job";
+import sharp, {OverlayOptions} from "sharp";
+import createLogger from '../libs/logger';
+import {getDbApi} from '../libs/db';
+import UnrecoverableError from "../errors/unrecoverable-error";
+const log = createLogger('proc:grid');
+
+const LABEL_HEIGHT = 48;
+const LABEL_WIDTH = 220;
+const FONT_SIZE = 20;
+
+type GridRequest = {
+  batch_uuid?: string,
+  // Cell job uuids, row-major: cells[y][x]
+  cells?: string[][],
+  x_labels?: string[],
+  y_labels?: string[],
+}
+
+function escapeXml(s: string): string {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Renders a centered text label as a PNG tile via SVG
+function labelTile(text: string, width: number, height: number, fill = '#000'): Promise<Buffer> {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">` +
+    `<rect width="100%" height="100%" fill="#fff"/>` +
+    `<text x="50%" y="50%" font-family="sans-serif" font-size="${FONT_SIZE}" fill="${fill}" ` +
+    `text-anchor="middle" dominant-baseline="middle">${escapeXml(text)}</text></svg>`;
+  return sharp(Buffer.from(svg)).png().toBuffer();
+}
+
+// Composes the first image of every cell job of an XY-grid sweep into one labeled contact sheet
+class GridComposeProcessor implements ProcessorInterface {
+  async run(job: Job, setProgress?: (progress: number) => void, signal?: AbortSignal) {
+    const req = job.request as GridRequest;
+    const rows = Array.isArray(req.cells) ? req.cells : [];
+    if (rows.length === 0 || rows[0].length === 0) throw new UnrecoverableError('Grid job has no cells');
+
+    const db = getDbApi();
+    const images = rows.map((row) => row.map((uuid) => {
+      const cell = db.jobs.get(uuid);
+      const image = cell?.status === 'completed' && Array.isArray(cell.result?.images) ? cell.result.images[0] : null;
+      return image ? Buffer.from(String(image).replace(/^data:image\/\w+;base64,/, ''), 'base64') : null;
+    }));
+    const first = images.flat().find((img) => img);
+    if (!first) throw new UnrecoverableError('No cell of the grid produced an image');
+
+    // All tiles take the size of the first successful image
+    const {width = 512, height = 512} = await sharp(first).metadata();
+    const xLabels = req.x_labels || [];
+    const yLabels = req.y_labels || [];
+    const offsetX = yLabels.length ? LABEL_WIDTH : 0;
+    const offsetY = xLabels.length ? LABEL_HEIGHT : 0;
+    const columns = rows[0].length;
+
+    const layers: OverlayOptions[] = [];
+    for (const [x, label] of xLabels.entries()) {
+      layers.push({input: await labelTile(label, width, LABEL_HEIGHT), left: offsetX + x * width, top: 0});
+    }
+    for (const [y, label] of yLabels.entries()) {
+      layers.push({input: await labelTile(label, LABEL_WIDTH, height), left: 0, top: offsetY + y * height});
+    }
+    for (const [y, row] of images.entries()) {
+      for (const [x, image] of row.entries()) {
+        signal?.throwIfAborted();
+        const input = image
+          ? await sharp(image).resize(width, height, {fit: 'contain', background: '#fff'}).png().toBuffer()
+          : await labelTile('failed', width, height, '#c00');
+        layers.push({input, left: offsetX + x * width, top: offsetY + y * height});
+      }
+      setProgress?.((y + 1) / images.length * 0.9);
+    }
+
+    const grid = await sharp({
+      create: {
+        width: offsetX + columns * width,
+        height: offsetY + rows.length * height,
+        channels: 3,
+        background: '#fff',
+      },
+    }).composite(layers).png().toBuffer();
+
+    log.info('Composed grid for job', job.uuid, `${columns}x${rows.length}`);
+    return {
+      images: [grid.toString('base64')],
+      info: {batch_uuid: req.batch_uuid, columns, rows: rows.length, cells: rows},
+    };
+  }
+}
+
+export default GridComposeProcessor;
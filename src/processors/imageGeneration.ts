@@ -5,16 +5,52 @@ import createLogger from '../libs/logger';
 import {getDbApi} from '../libs/db';
 import a1111 from '../libs/a1111';
 import {sleep} from '../libs/sleep';
+import UnrecoverableError from "../errors/unrecoverable-error";
+import BackendUnavailableError from "../errors/backend-unavailable-error";
 const log = createLogger('proc:generate');
 import crypto from 'crypto';
 
+const BACKEND_WAIT_MS = 1000;
+
+type GenerationEndpoint = 'txt2img' | 'img2img' | 'extra-single-image' | 'extra-batch-images';
+
 class ImageGenerationProcessor implements ProcessorInterface {
   generateSeed() {
     return crypto.randomInt(0, 0xFFFFFFFF); // 32-bit unsigned int (0 to 4,294,967,295)
   }
 
-  async run(job: Job) {
+  // Wait until a backend of the pool that can serve this request has a free slot
+  async acquireBackend(job: Job, req: any, signal?: AbortSignal) {
+    if (!a1111.isConfigured()) {
+      throw new Error('AUTOMATIC1111_API_BASE is not configured');
+    }
+    const candidates = a1111.rankBackends(req);
+    if (candidates.length === 0) {
+      throw new UnrecoverableError(`No Automatic1111 backend matches backend_tags ${JSON.stringify(req.backend_tags)}`);
+    }
+
+    let waiting = false;
+    while (true) {
+      signal?.throwIfAborted();
+      // Skip backends whose circuit is open; the worker requeues the job without counting a failure
+      const healthy = candidates.filter((b) => a1111.isAvailable(b));
+      if (healthy.length === 0) {
+        throw new BackendUnavailableError('No healthy Automatic1111 backend available for this job');
+      }
+      const name = getDbApi().jobs.acquireBackend(job.uuid, healthy);
+      if (name) return a1111.getBackend(name);
+      if (!waiting) {
+        log.debug('All matching backends busy, waiting for job', job.uuid);
+        waiting = true;
+      }
+      // eslint-disable-next-line no-await-in-loop
+      await sleep(BACKEND_WAIT_MS);
+    }
+  }
+
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal) {
     const db = getDbApi();
+    signal?.throwIfAborted();
     // Basic progress bump to indicate work started
     try { db.jobs.updateProgress(job.uuid, 0.1); } catch (_e) {}
 
@@ -22,20 +58,38 @@ class ImageGenerationProcessor implements ProcessorInterface {
 
     if (req.seed === undefined || req.seed < 0) req.seed = this.generateSeed();
 
-    // txt2img or img2img — poll A1111 progress while generation runs
+    // Custom workflows (see workflowLoader) pick the endpoint from the request
+    const isImg2img = job.workflow === 'img2img' || (job.workflow !== 'txt2img' && Array.isArray(req.init_images));
+    const output = await this.generate(job, req, isImg2img ? 'img2img' : 'txt2img', signal);
+    try { db.jobs.updateProgress(job.uuid, 0.9); } catch (_e) {}
+    return output;
+  }
+
+  /**
+   * Runs one Automatic1111 request on a free backend of the pool
+   * Progress reported by A1111 is scaled into progressWindow; on abort the backend is interrupted.
+   * @param endpoint - 'txt2img', 'img2img', or 'extra-single-image' / 'extra-batch-images' (postprocessing, upscaling)
+   */
+  async generate(job: Job, req: any, endpoint: GenerationEndpoint, signal?: AbortSignal, progressWindow: [number, number] = [0.1, 0.9]) {
+    const db = getDbApi();
+    // backend_tags only steer routing; A1111 does not know them
+    const {backend_tags: _backendTags, ...payload} = req;
+    const backend = await this.acquireBackend(job, req, signal);
+    log.debug('Routing job', job.uuid, 'to backend', backend.name);
+
+    // Poll A1111 progress while the request runs
+    const [from, to] = progressWindow;
     let running = true;
     const pollIntervalMs = 1000;
     const poller = (async () => {
       while (running) {
         try {
-          const p = await a1111.getProgress({ skipCurrentImage: true });
+          const p = await a1111.getProgress({ skipCurrentImage: true, backend });
           const raw = Number(p?.progress ?? 0);
           if (Number.isFinite(raw)) {
-            // Scale raw 0..1 into processing window [0.1, 0.9]
+            // Scale raw 0..1 into the processing window
             const rawClamped = Math.max(0, Math.min(1, raw));
-            const scaled = 0.1 + rawClamped * 0.8;
-            const scaledClamped = Math.max(0.1, Math.min(0.9, scaled));
-            db.jobs.updateProgress(job.uuid, scaledClamped);
+            db.jobs.updateProgress(job.uuid, from + rawClamped * (to - from));
           }
         } catch (e) {
           // Do not fail the job due to polling errors
@@ -50,23 +104,53 @@ class ImageGenerationProcessor implements ProcessorInterface {
       }
     })();
 
+    // On cancellation ask A1111 to stop; the pending request then resolves with a partial result
+    const onAbort = () => {
+      a1111.interrupt({ backend }).catch((e) => log.warn('Interrupt failed for job', job.uuid, e?.message || e));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
     try {
-      const result = job.workflow === 'img2img' ? await a1111.img2img(req) : await a1111.txt2img(req);
+      let result;
+      if (endpoint === 'img2img') result = await a1111.img2img(payload, { signal, backend });
+      else if (endpoint === 'extra-single-image') result = await a1111.extraSingleImage(payload, { signal, backend });
+      else if (endpoint === 'extra-batch-images') result = await a1111.extraBatchImages(payload, { signal, backend });
+      else result = await a1111.txt2img(payload, { signal, backend });
 
-      const payload = {
-        images: Array.isArray(result?.images) ? result.images : [],
-        seed: req.seed,
-        info: typeof result?.info === 'string' ? result.info : (result?.info ? JSON.stringify(result.info) : null),
+      // extra-single-image answers with a single image, the extras endpoints with html_info instead of info
+      let images = [];
+      if (Array.isArray(result?.images)) images = result.images;
+      else if (result?.image) images = [result.image];
+      const info = result?.info ?? result?.html_info;
+      const output = {
+        images,
+        seed: req.seed ?? null,
+        info: typeof info === 'string' ? info : (info ? JSON.stringify(info) : null),
+        backend: backend.name,
       };
 
-      try { db.jobs.updateProgress(job.uuid, 0.9); } catch (_e) {}
-      return payload;
+      // Discard the partial result of an interrupted generation
+      signal?.throwIfAborted();
+
+      try { db.jobs.updateProgress(job.uuid, to); } catch (_e) {}
+      return output;
     } catch (e) {
+      if (signal?.aborted) {
+        log.info('Generation interrupted for job', job.uuid);
+        throw signal.reason;
+      }
+      // fetch() rejects with a TypeError when the backend cannot be reached: not the job's fault
+      if (e instanceof TypeError) {
+        log.warn('Backend unreachable for job', job.uuid, backend.name, e.message);
+        throw new BackendUnavailableError(`Automatic1111 backend "${backend.name}" unreachable: ${e.message}`);
+      }
       log.error('Generation failed for job', job.uuid, e?.message || e);
       throw e;
     } finally {
       // Stop polling regardless of success/failure
       running = false;
+      signal?.removeEventListener('abort', onAbort);
+      try { db.jobs.releaseBackend(job.uuid); } catch (_e) { /* lease release clears it as well */ }
       // Wait a brief moment to let poller exit cleanly (best-effort)
       try { await Promise.race([poller, sleep(50)]); } catch (_e) { /* ignore */ }
     }
@@ -0,0 +1,82 @@
+import {Job} from "../models/Job";
+import ImageGenerationProcessor from "./imageGeneration";
+import createLogger from '../libs/logger';
+import UnrecoverableError from "../errors/unrecoverable-error";
+const log = createLogger('proc:pipeline');
+
+type PipelineStage = {
+  type: 'txt2img' | 'img2img' | 'upscale',
+  [param: string]: unknown,
+}
+
+type StageResult = {
+  type: string,
+  images: string[],
+  seed: number | null,
+  info: string | null,
+  backend: string,
+  completed_at: string,
+}
+
+/**
+ * Runs the next stage of a pipeline job. Every run handles exactly one stage; completed stages are kept
+ * in result.stages, so a retry or a restarted worker resumes at the first stage without a result.
+ * Each stage gets the previous stage's images as input (init_images for img2img, the image list for upscale).
+ */
+class PipelineStageProcessor extends ImageGenerationProcessor {
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal) {
+    signal?.throwIfAborted();
+    const stages = (job.request as { stages?: PipelineStage[] }).stages || [];
+    const previous = (job.result || {}) as { stages?: StageResult[] };
+    const done = Array.isArray(previous.stages) ? previous.stages : [];
+    const index = done.length;
+    const stage = stages[index];
+    if (!stage) throw new UnrecoverableError(`Pipeline has no stage ${index + 1}`);
+
+    const input = index > 0 ? done[index - 1].images : [];
+    if (index > 0 && input.length === 0) {
+      throw new UnrecoverableError(`Stage ${index} produced no images for stage ${index + 1}`);
+    }
+
+    const {type, ...params} = stage;
+    let req: any;
+    if (type === 'upscale') {
+      req = {...params, imageList: input.map((data, i) => ({data, name: `stage${index}-${i}.png`}))};
+    } else {
+      // A1111 refuses more init_images than batch_size, so refine every input image in one batch
+      req = index > 0 ? {...params, init_images: input, batch_size: input.length} : {...params};
+      if (req.seed === undefined || req.seed < 0) req.seed = this.generateSeed();
+    }
+
+    // Spread the stages evenly over the processing window [0.1, 0.9]
+    const span = 0.8 / stages.length;
+    const window: [number, number] = [0.1 + index * span, 0.1 + (index + 1) * span];
+    log.info('Running pipeline stage', `${index + 1}/${stages.length}`, type, 'for job', job.uuid);
+    const endpoint = type === 'upscale' ? 'extra-batch-images' : type;
+    const output = await this.generate(job, req, endpoint, signal, window);
+
+    const stageResult: StageResult = {
+      type,
+      images: output.images,
+      seed: type === 'upscale' ? null : output.seed,
+      info: output.info,
+      backend: output.backend,
+      completed_at: new Date().toISOString(),
+    };
+    // The latest stage's images are the job's images, so tagging and webhook work as for plain generations
+    return {
+      images: output.images,
+      seed: done.concat(stageResult).find((s) => s.seed != null)?.seed ?? null,
+      info: output.info,
+      backend: output.backend,
+      stage_count: stages.length,
+      stages: [...done, stageResult],
+    };
+  }
+
+  hasMoreWork(result: any) {
+    return !!result && Array.isArray(result.stages) && result.stages.length < result.stage_count;
+  }
+}
+
+export default PipelineStageProcessor;
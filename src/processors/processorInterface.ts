@@ -1,7 +1,9 @@
 import {Job} from "../models/Job";
 
 interface ProcessorInterface {
-    run(job: Job, setProgress: (progress: number) => void): Promise<any>;
+    run(job: Job, setProgress: (progress: number) => void, signal?: AbortSignal): Promise<any>;
+    // For steps with a `loop` state: true when the result asks for another run of the step
+    hasMoreWork?(result: any): boolean;
 }
 
-export default ProcessorInterface;
\ No newline at end of file
+export default ProcessorInterface;
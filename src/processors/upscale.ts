@@ -0,0 +1,59 @@
+import {Job} from "../models/Job";
+import ImageGenerationProcessor from "./imageGeneration";
+import createLogger from '../libs/logger';
+import {getDbApi} from '../libs/db';
+import UnrecoverableError from "../errors/unrecoverable-error";
+const log = createLogger('proc:upscale');
+
+const IMAGE_FETCH_TIMEOUT_MS = 60_000;
+
+type UpscaleRequest = {
+  // Exactly one image source is set (checked by the server)
+  images?: string[],
+  image_urls?: string[],
+  job_uuid?: string,
+  [param: string]: unknown,
+}
+
+async function fetchImageAsBase64(url: string, signal?: AbortSignal): Promise<string> {
+  const timeout = AbortSignal.timeout(IMAGE_FETCH_TIMEOUT_MS);
+  const resp = await fetch(url, {signal: signal ? AbortSignal.any([signal, timeout]) : timeout});
+  if (!resp.ok) {
+    // 4xx will not get better with a retry
+    const message = `Fetching ${url} failed with HTTP ${resp.status}`;
+    throw resp.status < 500 ? new UnrecoverableError(message) : new Error(message);
+  }
+  return Buffer.from(await resp.arrayBuffer()).toString('base64');
+}
+
+// Upscales base64 images, images behind URLs, or the images of a completed job via the A1111 extras endpoints
+class UpscaleProcessor extends ImageGenerationProcessor {
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal) {
+    const db = getDbApi();
+    signal?.throwIfAborted();
+    try { db.jobs.updateProgress(job.uuid, 0.1); } catch (_e) {}
+
+    const {images: inline, image_urls: urls, job_uuid: sourceJobUuid, ...params} = job.request as UpscaleRequest;
+    let images: string[];
+    if (Array.isArray(inline)) {
+      images = inline.map((img) => String(img).replace(/^data:image\/\w+;base64,/, ''));
+    } else if (Array.isArray(urls)) {
+      images = await Promise.all(urls.map((url) => fetchImageAsBase64(url, signal)));
+    } else {
+      const source = sourceJobUuid ? db.jobs.get(sourceJobUuid) : null;
+      if (!source || source.status !== 'completed') {
+        throw new UnrecoverableError(`Source job ${sourceJobUuid} is missing or not completed`);
+      }
+      images = Array.isArray(source.result?.images) ? source.result.images : [];
+    }
+    if (images.length === 0) throw new UnrecoverableError('No images to upscale');
+
+    log.debug('Upscaling', images.length, 'image(s) for job', job.uuid);
+    const output = images.length === 1
+      ? await this.generate(job, {...params, image: images[0]}, 'extra-single-image', signal, [0.2, 0.9])
+      : await this.generate(job, {...params, imageList: images.map((data, i) => ({data, name: `${i}.png`}))}, 'extra-batch-images', signal, [0.2, 0.9]);
+    return {...output, source_job_uuid: sourceJobUuid ?? null};
+  }
+}
+
+export default UpscaleProcessor;
@@ -0,0 +1,97 @@
+import {Job} from "../models/Job";
+import path from "path";
+import createLogger from '../libs/logger';
+import {getDbApi} from '../libs/db';
+import UnrecoverableError from "../errors/unrecoverable-error";
+import CivitAiDownloadProcessor from "./civitaiDownload";
+import {assetSourceKey} from '../libs/civitai';
+import {authHeaders, fileNameFromUrl, normalizeDirectUrl, validateDirectUrl} from '../libs/directDownload';
+
+const log = createLogger('proc:URL download');
+
+/**
+ * Downloads an asset from a direct file link or a HuggingFace resolve/ URL
+ * Streaming, progress and the destination layout are the same as for CivitAI downloads;
+ * there is no metadata to fetch, so the asset is named after the file.
+ */
+class UrlDownloadProcessor extends CivitAiDownloadProcessor {
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal) {
+    const {kind, source_url, auth_token, sha256: expectedSha256, force} = job.request || {};
+    const assetKind = String(kind);
+    const sourceUrl = normalizeDirectUrl(String(source_url || ''));
+    const invalid = validateDirectUrl(sourceUrl);
+    if (invalid) throw new UnrecoverableError(invalid);
+
+    const sourceKey = assetSourceKey(sourceUrl);
+    const known = this.findExistingAsset(sourceKey, expectedSha256 || null, !!force, assetKind);
+    if (known) return {filepath: this.existingAssetRecord(known)};
+
+    // A forced download replaces the file of the existing asset
+    const replaced = this.findReplacedAsset(sourceKey, !!force, assetKind);
+    const fileName = fileNameFromUrl(sourceUrl);
+    const destinationPath = replaced?.local_path || this.getDestinationPath(assetKind, fileName, sourceUrl);
+    log.info('Downloading', sourceUrl, 'to', destinationPath);
+
+    let sha256: string;
+    try {
+      ({sha256} = await this.downloadToFile(
+        sourceUrl,
+        destinationPath,
+        authHeaders(sourceUrl, auth_token),
+        (progress) => {
+          getDbApi().jobs.updateProgress(job.uuid, progress);
+        },
+        signal,
+        expectedSha256 || null
+      ));
+    } catch (error) {
+      // A rejected token or a missing file will not fix itself
+      const message = error instanceof Error ? error.message : String(error);
+      if (/Download failed: (401|403|404|410)\b/.test(message)) throw new UnrecoverableError(message);
+      throw error;
+    }
+
+    // Only now is the content known: the same file may exist under another source
+    const sameFile = this.findExistingAsset(sourceKey, sha256, !!force, assetKind, destinationPath);
+    if (sameFile && !replaced) {
+      this.discardFile(destinationPath, sameFile);
+      return {filepath: this.existingAssetRecord(sameFile)};
+    }
+
+    const name = path.basename(fileName, path.extname(fileName));
+    let assetId: number;
+    if (replaced) {
+      getDbApi().assets.update(replaced.id, {local_path: destinationPath, sha256});
+      assetId = replaced.id;
+    } else {
+      const created = this.insertAsset({
+        kind: assetKind,
+        name,
+        source_url: sourceUrl,
+        source_key: sourceKey,
+        example_prompt: null,
+        min: 1,
+        max: 1,
+        local_path: destinationPath,
+        sha256,
+      });
+      if (typeof created !== 'number') return {filepath: this.existingAssetRecord(created)};
+      assetId = created;
+    }
+
+    await this.refreshA1111Assets(assetKind);
+
+    return {
+      filepath: {
+        asset_id: assetId,
+        kind: assetKind,
+        name: replaced ? replaced.name : name,
+        local_path: destinationPath,
+        source_url: sourceUrl,
+        sha256,
+      },
+    };
+  }
+}
+
+export default UrlDownloadProcessor;
@@ -1,25 +1,36 @@
 import ProcessorInterface from "./processorInterface";
 import {Job} from "../models/Job";
+import createLogger from '../libs/logger';
+
+const log = createLogger('proc:webhook');
+
+// Receiver answers worth another attempt (see the step's retry policy); other 4xx answers will not change
+const RETRYABLE_STATUSES = [408, 425, 429];
 
 class WebhookProcessor implements ProcessorInterface {
-  async run(job: Job) {
+  async run(job: Job, _setProgress?: (progress: number) => void, signal?: AbortSignal) {
     if (!job.webhookUrl) return job.result || {};
-    try {
-      const headers: Record<string, string> = { 'content-type': 'application/json' };
-      if (job.webhookKey) headers['x-webhook-key'] = job.webhookKey as string;
-      const payload = {
-        uuid: job.uuid,
-        job_status: 'completed',
-        progress: 1,
-        images: (job.result && (job.result as any).images) || [],
-        seed: (job.result && (job.result as any).seed) || null,
-        info: (job.result && (job.result as any).info) || null,
-        tags: (job.result && (job.result as any).tags) || null,
-      };
-      await fetch(job.webhookUrl as string, { method: 'POST', headers, body: JSON.stringify(payload) });
-    } catch (_e) {
-      // ignore webhook delivery failures for now
+    const headers: Record<string, string> = { 'content-type': 'application/json' };
+    if (job.webhookKey) headers['x-webhook-key'] = job.webhookKey as string;
+    const payload = {
+      uuid: job.uuid,
+      job_status: 'completed',
+      progress: 1,
+      images: (job.result && (job.result as any).images) || [],
+      seed: (job.result && (job.result as any).seed) || null,
+      info: (job.result && (job.result as any).info) || null,
+      tags: (job.result && (job.result as any).tags) || null,
+      // Florence jobs: raw output text, the annotated image and the parsed task output
+      text: (job.result && (job.result as any).text) || null,
+      image: (job.result && (job.result as any).image) || null,
+      output: (job.result && (job.result as any).output) || null,
+    };
+    // Network errors and 5xx answers fail the step, so the worker retries the delivery with backoff
+    const resp = await fetch(job.webhookUrl as string, { method: 'POST', headers, body: JSON.stringify(payload), signal });
+    if (resp.status >= 500 || RETRYABLE_STATUSES.includes(resp.status)) {
+      throw new Error(`Webhook responded with ${resp.status}`);
     }
+    if (!resp.ok) log.warn('Webhook for job', job.uuid, 'rejected with', resp.status, '- not retrying');
     return job.result || {};
   }
 }
@@ -0,0 +1,189 @@
+import fs from "fs";
+import path from "path";
+import YAML from "yaml";
+import type {Workflow} from "../models/Workflow";
+import createLogger from '../libs/logger';
+import WorkflowConfigError from "../errors/workflow-config-error";
+const ProcessorFactory = require('./factory');
+const log = createLogger('workflows');
+
+// Declarative workflows: every *.json / *.yaml / *.yml file in WORKFLOWS_DIR maps workflow names to
+// { <waiting state>: { process, success, failure?, loop?, incrementFailureCounter?, retry?, timeoutMs? } }.
+// A file workflow with the name of a built-in one replaces it.
+const DEFAULT_DIR = path.join(process.cwd(), 'config', 'workflows');
+const ENTRY_STATE = 'pending';
+const TERMINAL_STATES = ['completed', 'error', 'canceled'];
+const STEP_KEYS = ['process', 'success', 'failure', 'loop', 'incrementFailureCounter', 'retry', 'timeoutMs'];
+const RETRY_KEYS = ['maxAttempts', 'backoffBaseMs', 'backoffMaxMs', 'jitter', 'retryableErrors'];
+
+// Workflow name -> file it was loaded from ('builtin' for workflows.ts)
+const sources: Record<string, string> = {};
+
+/**
+ * Reads all workflow files of a directory; a missing directory yields no workflows
+ */
+export function readWorkflowFiles(dir: string): { workflows: Record<string, unknown>, sources: Record<string, string>, problems: string[] } {
+  const result = {workflows: {}, sources: {}, problems: []};
+  if (!fs.existsSync(dir)) return result;
+
+  const files = fs.readdirSync(dir).filter((f) => /\.(json|ya?ml)$/i.test(f)).sort();
+  for (const file of files) {
+    const fullPath = path.join(dir, file);
+    let content: unknown;
+    try {
+      const text = fs.readFileSync(fullPath, 'utf8');
+      content = file.toLowerCase().endsWith('.json') ? JSON.parse(text) : YAML.parse(text);
+    } catch (e) {
+      result.problems.push(`${file}: cannot be parsed (${e?.message || e})`);
+      continue;
+    }
+    if (!content || typeof content !== 'object' || Array.isArray(content)) {
+      result.problems.push(`${file}: expected an object mapping workflow names to their states`);
+      continue;
+    }
+    for (const [name, workflow] of Object.entries(content)) {
+      if (result.sources[name]) {
+        result.problems.push(`${file}: workflow "${name}" is already defined in ${result.sources[name]}`);
+        continue;
+      }
+      result.workflows[name] = workflow;
+      result.sources[name] = file;
+    }
+  }
+  return result;
+}
+
+function isTarget(workflow: Workflow, state: unknown): boolean {
+  return typeof state === 'string' && (TERMINAL_STATES.includes(state) || Object.prototype.hasOwnProperty.call(workflow, state));
+}
+
+/**
+ * Checks one workflow definition; returns a list of problems (empty when valid)
+ */
+export function validateWorkflow(name: string, workflow: unknown): string[] {
+  const problems: string[] = [];
+  const at = (state?: string) => (state ? `workflow "${name}", state "${state}"` : `workflow "${name}"`);
+  if (!workflow || typeof workflow !== 'object' || Array.isArray(workflow)) {
+    return [`${at()}: expected an object mapping waiting states to steps`];
+  }
+  const wf = workflow as Workflow;
+  if (!wf[ENTRY_STATE]) problems.push(`${at()}: has no "${ENTRY_STATE}" state`);
+
+  const waitingStates = Object.keys(wf);
+  for (const [state, step] of Object.entries(wf)) {
+    if (TERMINAL_STATES.includes(state)) {
+      problems.push(`${at(state)}: terminal states cannot have a step`);
+      continue;
+    }
+    if (!step || typeof step !== 'object' || Array.isArray(step)) {
+      problems.push(`${at(state)}: expected a step object`);
+      continue;
+    }
+    for (const key of Object.keys(step)) {
+      if (!STEP_KEYS.includes(key)) problems.push(`${at(state)}: unknown field "${key}"`);
+    }
+    if (typeof step.process !== 'string' || !ProcessorFactory.isRegistered(step.process)) {
+      problems.push(`${at(state)}: process "${step.process}" has no registered processor (known: ${ProcessorFactory.activeStates().join(', ')})`);
+    } else if (waitingStates.includes(step.process) || TERMINAL_STATES.includes(step.process)) {
+      problems.push(`${at(state)}: process "${step.process}" is also used as a waiting or terminal state`);
+    }
+    if (!isTarget(wf, step.success)) {
+      problems.push(`${at(state)}: success target "${step.success}" is neither a state of the workflow nor terminal`);
+    }
+    for (const key of ['failure', 'loop'] as const) {
+      if (step[key] !== undefined && !isTarget(wf, step[key])) {
+        problems.push(`${at(state)}: ${key} target "${step[key]}" is neither a state of the workflow nor terminal`);
+      }
+    }
+    if (step.incrementFailureCounter !== undefined && typeof step.incrementFailureCounter !== 'boolean') {
+      problems.push(`${at(state)}: incrementFailureCounter must be a boolean`);
+    }
+    if (step.timeoutMs !== undefined && !(Number.isFinite(step.timeoutMs) && step.timeoutMs > 0)) {
+      problems.push(`${at(state)}: timeoutMs must be a positive number`);
+    }
+    if (step.retry !== undefined) {
+      if (!step.retry || typeof step.retry !== 'object' || Array.isArray(step.retry)) {
+        problems.push(`${at(state)}: retry must be an object`);
+      } else {
+        for (const [key, value] of Object.entries(step.retry)) {
+          if (!RETRY_KEYS.includes(key)) problems.push(`${at(state)}: unknown retry field "${key}"`);
+          else if (key === 'retryableErrors' ? !Array.isArray(value) : !Number.isFinite(value)) {
+            problems.push(`${at(state)}: retry.${key} has an invalid value`);
+          }
+        }
+      }
+    }
+  }
+
+  // Every waiting state must be reachable from the entry state
+  const reachable = new Set<string>();
+  const queue = wf[ENTRY_STATE] ? [ENTRY_STATE] : [];
+  while (queue.length) {
+    const state = queue.shift();
+    if (reachable.has(state) || !wf[state]) continue;
+    reachable.add(state);
+    for (const target of [wf[state].success, wf[state].failure, wf[state].loop]) {
+      if (typeof target === 'string' && wf[target]) queue.push(target);
+    }
+  }
+  for (const state of waitingStates) {
+    if (!reachable.has(state) && !TERMINAL_STATES.includes(state)) {
+      problems.push(`${at(state)}: unreachable from "${ENTRY_STATE}"`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Adds the workflows from the config directory to the registry and validates all of them
+ * Throws WorkflowConfigError listing every problem, so a broken definition stops startup.
+ * @param registry - The shared workflows object from workflows.ts; modified in place
+ * @param dir - Config directory, defaults to WORKFLOWS_DIR or ./config/workflows
+ */
+export function loadWorkflowConfig(registry: Record<string, Workflow>, dir: string = process.env.WORKFLOWS_DIR || DEFAULT_DIR) {
+  for (const name of Object.keys(registry)) sources[name] ??= 'builtin';
+
+  const files = readWorkflowFiles(dir);
+  const problems = [...files.problems];
+  for (const [name, workflow] of Object.entries(files.workflows)) {
+    problems.push(...validateWorkflow(name, workflow));
+  }
+  for (const [name, workflow] of Object.entries(registry)) {
+    if (!(name in files.workflows)) problems.push(...validateWorkflow(name, workflow));
+  }
+  if (problems.length) throw new WorkflowConfigError(problems);
+
+  for (const [name, workflow] of Object.entries(files.workflows)) {
+    if (registry[name]) log.warn(`Workflow "${name}" from ${files.sources[name]} replaces the built-in one`);
+    registry[name] = workflow as Workflow;
+    sources[name] = files.sources[name];
+  }
+  if (Object.keys(files.workflows).length) {
+    log.info('Loaded workflows from', dir + ':', Object.keys(files.workflows).join(', '));
+  }
+  return registry;
+}
+
+/**
+ * Public description of a workflow: its states and all edges, including failure and loop edges
+ */
+export function describeWorkflow(name: string, workflow: Workflow) {
+  const edges: { from: string, via: string, to: string, on: string }[] = [];
+  const states = Object.entries(workflow).map(([state, step]) => {
+    edges.push({from: state, via: step.process, to: step.success, on: 'success'});
+    // A failed run waits in the failure state for its retry; once out of retries the job ends in 'error'
+    edges.push({from: state, via: step.process, to: step.failure || state, on: 'failure'});
+    if (step.loop) edges.push({from: state, via: step.process, to: step.loop, on: 'loop'});
+    return {
+      state,
+      process: step.process,
+      success: step.success,
+      failure: step.failure || state,
+      loop: step.loop || null,
+      increment_failure_counter: step.incrementFailureCounter !== false,
+      retry: step.retry || null,
+      timeout_ms: step.timeoutMs ?? null,
+    };
+  });
+  return {workflow: name, source: sources[name] || 'builtin', entry: ENTRY_STATE, states, edges};
+}
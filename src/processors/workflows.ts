@@ -1,50 +1,140 @@
-type WorkflowStep = {
-    process: string,
-    success: string,
-    failure?: string,
-    incrementFailureCounter?: boolean,
-}
-
-type Workflow = Record<string, WorkflowStep>;
+import type {Workflow, WorkflowStep} from "../models/Workflow";
 
+// Built-in workflows; more can be added from config files, see workflowLoader
 const imageGeneration: Workflow = {
     'pending': {
         process: 'generating',
         success: 'ready-for-tagging',
+        timeoutMs: 10 * 60_000,
     },
     'ready-for-tagging': {
         process: 'donbooru-autotag',
         success: 'ready-for-uploading',
+        timeoutMs: 2 * 60_000,
     },
     'ready-for-uploading': {
         process: 'uploading',
         success: 'ready-for-webhook',
+        timeoutMs: 5 * 60_000,
     },
     'ready-for-webhook': {
         process: 'webhook',
         success: 'completed',
+        timeoutMs: 30_000,
+        // Webhook receivers are often briefly unavailable: retry quickly, but more often
+        retry: {
+            maxAttempts: 6,
+            backoffBaseMs: 15_000,
+            backoffMaxMs: 10 * 60_000,
+            jitter: 0.3,
+        },
     }
 };
 
-const noopWorkflow: Workflow = {
-  'pending': {
-    process: 'noop',
-    success: 'completed',
-    failure: 'completed',
-  }
-}
+// Final job of an XY-grid sweep: the cells run as an ordinary batch of generation jobs,
+// this job waits in 'waiting-for-batch' until they are done and then composes the grid image
+const xyGrid: Workflow = {
+    'pending': {
+        process: 'grid-compose',
+        success: 'ready-for-webhook',
+        timeoutMs: 5 * 60_000,
+    },
+    'ready-for-webhook': imageGeneration['ready-for-webhook'],
+};
+
+// User-defined pipelines: each run of 'pipeline-stage' executes one stage and loops back
+// through 'ready-for-stage' until result.stages holds a result for every stage
+const pipelineStage: WorkflowStep = {
+    process: 'pipeline-stage',
+    success: 'ready-for-tagging',
+    loop: 'ready-for-stage',
+    timeoutMs: 10 * 60_000,
+};
+
+const pipeline: Workflow = {
+    'pending': pipelineStage,
+    'ready-for-stage': pipelineStage,
+    'ready-for-tagging': imageGeneration['ready-for-tagging'],
+    'ready-for-uploading': imageGeneration['ready-for-uploading'],
+    'ready-for-webhook': imageGeneration['ready-for-webhook'],
+};
+
+// Upscaling through the A1111 extras endpoints, then the same tail as a generation
+const upscale: Workflow = {
+    'pending': {
+        process: 'upscaling',
+        success: 'ready-for-tagging',
+        timeoutMs: 10 * 60_000,
+    },
+    'ready-for-tagging': imageGeneration['ready-for-tagging'],
+    'ready-for-uploading': imageGeneration['ready-for-uploading'],
+    'ready-for-webhook': imageGeneration['ready-for-webhook'],
+};
+
+const florence: Workflow = {
+    'pending': {
+        process: 'florence',
+        success: 'ready-for-webhook',
+        timeoutMs: 2 * 60_000,
+    },
+    'ready-for-webhook': imageGeneration['ready-for-webhook'],
+};
+
+// Large downloads: few attempts, long pauses so a flaky mirror can recover
+const downloadRetry: WorkflowStep['retry'] = {
+    maxAttempts: 3,
+    backoffBaseMs: 10 * 60_000,
+    backoffMaxMs: 2 * 60 * 60_000,
+    jitter: 0.1,
+};
 
 const workflows: Record<string, Workflow> =  {
     'txt2img': imageGeneration,
     'img2img': imageGeneration,
+    'xy-grid': xyGrid,
+    'pipeline': pipeline,
+    'upscale': upscale,
     'civitai-download': {
       'pending': {
         process: 'civitai-download',
-        success: 'completed'
+        success: 'completed',
+        timeoutMs: 2 * 60 * 60_000,
+        retry: downloadRetry,
+      }
+    },
+    // Direct links and HuggingFace files
+    'asset-download': {
+      'pending': {
+        process: 'url-download',
+        success: 'completed',
+        timeoutMs: 2 * 60 * 60_000,
+        retry: downloadRetry,
+      }
+    },
+    // Imports files from the asset directories; hashing large checkpoints takes a while
+    'asset-scan': {
+      'pending': {
+        process: 'asset-scan',
+        success: 'completed',
+        timeoutMs: 6 * 60 * 60_000,
+        retry: downloadRetry,
+      }
+    },
+    // Queued once the last job of a batch is finished
+    'batch-webhook': {
+      'pending': {
+        process: 'batch-webhook',
+        success: 'completed',
+        timeoutMs: 30_000,
+        retry: {
+          maxAttempts: 6,
+          backoffBaseMs: 15_000,
+          backoffMaxMs: 10 * 60_000,
+          jitter: 0.3,
+        },
       }
     },
-    'asset-download': noopWorkflow,
-    'florence': noopWorkflow
+    'florence': florence,
 };
 
 module.exports = workflows;
\ No newline at end of file
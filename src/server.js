@@ -9,6 +9,14 @@ const {runMigrations} = require('./libs/migration');
 const createLogger = require('./libs/logger');
 const fs = require("fs/promises");
 const workflows = require('./processors/workflows');
+const {loadWorkflowConfig, describeWorkflow} = require('./processors/workflowLoader');
+const xyGrid = require('./libs/xyGrid');
+const florenceTasks = require('./libs/florenceTasks');
+const directDownload = require('./libs/directDownload');
+const {assetSourceKey} = require('./libs/civitai');
+const assetFiles = require('./libs/assetFiles');
+const assetKinds = require('./libs/assetKinds');
+const modelCatalog = require('./libs/modelCatalog');
 const log = createLogger('server');
 let db = null;
 
@@ -35,7 +43,7 @@ app.use((req, res, next) => {
         res.header('Vary', 'Origin');
     }
     res.header('Access-Control-Allow-Methods', 'GET,POST,DELETE,OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Authorization, Content-Type');
+    res.header('Access-Control-Allow-Headers', 'Authorization, Content-Type, X-Client-Id');
     // No credentials by default; if needed, can be toggled later with config
     // res.header('Access-Control-Allow-Credentials', 'true');
     if (req.method === 'OPTIONS') return res.sendStatus(204);
@@ -58,9 +66,15 @@ function requireAuth(req, res, next) {
     return next();
 }
 
-// Health endpoint
+// Health endpoint; backend health comes from this process' own probes
 app.get('/health', (_req, res) => {
-    res.status(200).json({status: 'ok'});
+    res.status(200).json({
+        status: 'ok',
+        automatic1111: {
+            healthy: a1111.hasAvailableBackend(),
+            backends: a1111.getHealth(),
+        },
+    });
 });
 
 const schemasDir = path.join(__dirname, '..', 'schemas');
@@ -83,7 +97,8 @@ app.get('/public/jobs.json', (_req, res) => {
     try {
         // TODO: map structure to spec
         const jobs = db.jobs.listActive();
-        res.status(200).json({jobs, updatedAt: new Date().toISOString()});
+        const scheduled = db.jobs.listScheduled();
+        res.status(200).json({jobs, scheduled, updatedAt: new Date().toISOString()});
     } catch (e) {
         log.error('Failed to list active jobs:', e && e.message ? e.message : e);
         res.status(500).json({error: 'Failed to list jobs'});
@@ -138,47 +153,326 @@ function normalizeAssetSourceUrl(input) {
     return s;
 }
 
+// Queue options shared by all job submissions:
+// - priority: integer, higher runs first (default 0)
+// - client: fair-share label (body field or X-Client-Id header); jobs of different clients are interleaved
+// - run_at (ISO timestamp) or delay_seconds: the worker does not start the job before that time
+const PRIORITY_MIN = -10;
+const PRIORITY_MAX = 10;
+
+function parseQueueOptions(req) {
+    const {priority = 0, client = null, run_at: runAt = null, delay_seconds: delaySeconds = null} = req.body || {};
+    const p = Number(priority);
+    if (!Number.isInteger(p) || p < PRIORITY_MIN || p > PRIORITY_MAX) {
+        return {error: `priority must be an integer between ${PRIORITY_MIN} and ${PRIORITY_MAX}`};
+    }
+    if (runAt != null && delaySeconds != null) {
+        return {error: 'Use either run_at or delay_seconds, not both'};
+    }
+
+    let scheduledAt = null;
+    if (runAt != null) {
+        const date = new Date(String(runAt));
+        if (Number.isNaN(date.getTime())) return {error: 'run_at must be an ISO 8601 timestamp'};
+        scheduledAt = date.toISOString();
+    } else if (delaySeconds != null) {
+        const delay = Number(delaySeconds);
+        if (!Number.isFinite(delay) || delay < 0) return {error: 'delay_seconds must be a non-negative number'};
+        scheduledAt = new Date(Date.now() + delay * 1000).toISOString();
+    }
+
+    const label = client ?? req.headers['x-client-id'] ?? null;
+    return {
+        priority: p,
+        client: label == null || String(label).trim() === '' ? null : String(label).trim().slice(0, 100),
+        run_at: scheduledAt,
+    };
+}
+
+// Generation requests may name a workflow from the config directory that starts with a generation step
+function resolveGenerationWorkflow(requested, fallback) {
+    if (requested == null || requested === fallback) return {name: fallback};
+    const workflow = workflows[String(requested)];
+    if (!workflow || !workflow.pending || workflow.pending.process !== 'generating') {
+        return {error: `workflow "${requested}" does not exist or does not start with a generation step`};
+    }
+    return {name: String(requested)};
+}
+
 api.post('/v1/txt2img', (req, res) => {
-    const {webhookUrl = null, webhookKey = null, ...rest} = req.body || {};
+    const {webhookUrl = null, webhookKey = null, workflow: requestedWorkflow, priority: _priority, client: _client, run_at: _runAt, delay_seconds: _delaySeconds, ...rest} = req.body || {};
+    const workflow = resolveGenerationWorkflow(requestedWorkflow, 'txt2img');
+    if (workflow.error) return res.status(400).json({error: workflow.error});
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
     const id = uuidv4();
     const job = {
         uuid: id,
         status: 'pending',
-        workflow: 'txt2img',
+        workflow: workflow.name,
         progress: 0,
         request: rest || {},
         result: null,
         error: null,
         webhookUrl,
         webhookKey,
+        ...queue,
     };
     db.jobs.create(job);
     return res.status(202).json({uuid: id});
 });
 
 api.post('/v1/img2img', (req, res) => {
-    const {webhookUrl = null, webhookKey = null, ...rest} = req.body || {};
+    const {webhookUrl = null, webhookKey = null, workflow: requestedWorkflow, priority: _priority, client: _client, run_at: _runAt, delay_seconds: _delaySeconds, ...rest} = req.body || {};
+    const workflow = resolveGenerationWorkflow(requestedWorkflow, 'img2img');
+    if (workflow.error) return res.status(400).json({error: workflow.error});
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
     const id = uuidv4();
     const job = {
         uuid: id,
         status: 'pending',
-        workflow: 'img2img',
+        workflow: workflow.name,
         progress: 0,
         request: rest || {},
         result: null,
         error: null,
         webhookUrl,
         webhookKey,
+        ...queue,
+    };
+    db.jobs.create(job);
+    return res.status(202).json({uuid: id});
+});
+
+// Batches: one submission of many txt2img/img2img requests, tracked and notified as a whole
+const BATCH_MAX_JOBS = 500;
+const BATCH_WORKFLOWS = ['txt2img', 'img2img'];
+
+api.post('/v1/batches', (req, res) => {
+    const {requests, webhookUrl = null, webhookKey = null} = req.body || {};
+    if (!Array.isArray(requests) || requests.length === 0) {
+        return res.status(400).json({error: 'requests must be a non-empty array'});
+    }
+    if (requests.length > BATCH_MAX_JOBS) {
+        return res.status(400).json({error: `A batch can hold at most ${BATCH_MAX_JOBS} requests`});
+    }
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
+
+    const jobs = [];
+    for (const [idx, item] of requests.entries()) {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            return res.status(400).json({error: `requests[${idx}] must be an object`});
+        }
+        // Per-job webhooks are dropped: the batch sends one webhook when all jobs are done
+        const {workflow = 'txt2img', webhookUrl: _webhookUrl, webhookKey: _webhookKey, ...rest} = item;
+        if (!BATCH_WORKFLOWS.includes(workflow)) {
+            return res.status(400).json({error: `requests[${idx}].workflow must be one of: ${BATCH_WORKFLOWS.join(', ')}`});
+        }
+        jobs.push({
+            uuid: uuidv4(),
+            status: 'pending',
+            workflow,
+            progress: 0,
+            request: rest,
+            result: null,
+            error: null,
+            webhookUrl: null,
+            webhookKey: null,
+            ...queue,
+        });
+    }
+
+    const id = uuidv4();
+    db.batches.create({uuid: id, webhookUrl, webhookKey}, jobs);
+    return res.status(202).json({uuid: id, jobs: jobs.map((j) => j.uuid)});
+});
+
+// XY-grid sweep: one request plus axes is expanded into a batch of cell jobs; the returned job
+// composes the labeled grid image once all cells are finished and carries the webhook
+api.post('/v1/xy-grid', (req, res) => {
+    const {
+        webhookUrl = null, webhookKey = null, axes, workflow: requestedWorkflow,
+        priority: _priority, client: _client, run_at: _runAt, delay_seconds: _delaySeconds, ...rest
+    } = req.body || {};
+    const workflow = requestedWorkflow || (Array.isArray(rest.init_images) ? 'img2img' : 'txt2img');
+    if (!BATCH_WORKFLOWS.includes(workflow)) {
+        return res.status(400).json({error: `workflow must be one of: ${BATCH_WORKFLOWS.join(', ')}`});
+    }
+    const parsed = xyGrid.parseAxes(axes, rest);
+    if (parsed.error) return res.status(400).json({error: parsed.error});
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
+
+    const [xAxis, yAxis] = parsed.axes;
+    const cells = xyGrid.expandGrid(rest, parsed.axes).map((cell) => ({
+        ...cell,
+        job: {
+            uuid: uuidv4(),
+            status: 'pending',
+            workflow,
+            progress: 0,
+            request: cell.request,
+            result: null,
+            error: null,
+            webhookUrl: null,
+            webhookKey: null,
+            ...queue,
+        },
+    }));
+    const rows = (yAxis ? yAxis.values : [null]).map((_v, y) => cells.filter((c) => c.y === y).map((c) => c.job.uuid));
+
+    const batchId = uuidv4();
+    const gridJob = {
+        uuid: uuidv4(),
+        workflow: 'xy-grid',
+        progress: 0,
+        request: {
+            batch_uuid: batchId,
+            cells: rows,
+            x_labels: xAxis.values.map((v) => xyGrid.axisLabel(xAxis.field, v)),
+            y_labels: yAxis ? yAxis.values.map((v) => xyGrid.axisLabel(yAxis.field, v)) : [],
+        },
+        webhookUrl,
+        webhookKey,
+        ...queue,
+        run_at: null,
+    };
+    db.batches.create({uuid: batchId}, cells.map((c) => c.job), {finalJob: gridJob});
+    return res.status(202).json({uuid: gridJob.uuid, batch_uuid: batchId, jobs: rows});
+});
+
+api.get('/v1/batches/:uuid', (req, res) => {
+    const batch = db.batches.get(req.params.uuid);
+    if (!batch) return res.status(404).json({error: 'Not found'});
+    return res.json({
+        uuid: batch.uuid,
+        batch_status: batch.status,
+        progress: batch.progress,
+        total: batch.total,
+        counts: batch.counts,
+        created_at: batch.created_at,
+        completed_at: batch.completed_at || null,
+        jobs: batch.jobs.map((j) => ({
+            uuid: j.uuid,
+            job_status: j.status,
+            workflow: j.workflow,
+            progress: j.progress,
+            error: j.error,
+        })),
+    });
+});
+
+// Pipelines chain generation stages in one job; each stage's images feed the next stage
+const PIPELINE_MAX_STAGES = 5;
+const PIPELINE_STAGE_TYPES = ['txt2img', 'img2img', 'upscale'];
+
+function validatePipelineStages(stages) {
+    if (!Array.isArray(stages) || stages.length === 0 || stages.length > PIPELINE_MAX_STAGES) {
+        return `stages must be an array of 1 to ${PIPELINE_MAX_STAGES} stages`;
+    }
+    for (const [idx, stage] of stages.entries()) {
+        if (!stage || typeof stage !== 'object' || Array.isArray(stage)) return `stages[${idx}] must be an object`;
+        if (!PIPELINE_STAGE_TYPES.includes(stage.type)) {
+            return `stages[${idx}].type must be one of: ${PIPELINE_STAGE_TYPES.join(', ')}`;
+        }
+        if (idx === 0 && stage.type === 'upscale') return 'The first stage must be txt2img or img2img';
+        if (idx === 0 && stage.type === 'img2img' && !Array.isArray(stage.init_images)) {
+            return 'A first img2img stage needs init_images';
+        }
+        if (idx > 0 && stage.type === 'txt2img') return `stages[${idx}]: txt2img can only be the first stage`;
+        if (idx > 0 && stage.init_images) return `stages[${idx}]: init_images come from the previous stage`;
+    }
+    return null;
+}
+
+api.post('/v1/pipelines', (req, res) => {
+    const {webhookUrl = null, webhookKey = null, stages} = req.body || {};
+    const invalid = validatePipelineStages(stages);
+    if (invalid) return res.status(400).json({error: invalid});
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
+
+    const id = uuidv4();
+    const job = {
+        uuid: id,
+        status: 'pending',
+        workflow: 'pipeline',
+        progress: 0,
+        request: {stages},
+        result: null,
+        error: null,
+        webhookUrl,
+        webhookKey,
+        ...queue,
+    };
+    db.jobs.create(job);
+    return res.status(202).json({uuid: id});
+});
+
+// Upscale job: exactly one image source (images, image_urls or job_uuid); the remaining fields
+// are passed to A1111's extras endpoints (upscaler_1, upscaling_resize, ...)
+const UPSCALE_MAX_IMAGES = 16;
+
+api.post('/v1/upscale', (req, res) => {
+    const {
+        webhookUrl = null, webhookKey = null, images, image_urls: imageUrls, job_uuid: jobUuid,
+        priority: _priority, client: _client, run_at: _runAt, delay_seconds: _delaySeconds, ...params
+    } = req.body || {};
+    const sources = [images, imageUrls, jobUuid].filter((v) => v != null);
+    if (sources.length !== 1) {
+        return res.status(400).json({error: 'Provide exactly one of images, image_urls or job_uuid'});
+    }
+    const list = images ?? imageUrls;
+    if (list != null) {
+        if (!Array.isArray(list) || list.length === 0 || list.length > UPSCALE_MAX_IMAGES || list.some((v) => typeof v !== 'string' || !v)) {
+            return res.status(400).json({error: `images / image_urls must be an array of 1 to ${UPSCALE_MAX_IMAGES} strings`});
+        }
+        if (imageUrls && imageUrls.some((u) => !/^https?:\/\//i.test(u))) {
+            return res.status(400).json({error: 'image_urls must be http(s) URLs'});
+        }
+    } else {
+        const source = db.jobs.get(String(jobUuid));
+        if (!source) return res.status(404).json({error: 'Source job not found'});
+        if (source.status !== 'completed') {
+            return res.status(409).json({error: `Source job is not completed (job_status is "${source.status}")`});
+        }
+    }
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
+
+    const id = uuidv4();
+    const job = {
+        uuid: id,
+        status: 'pending',
+        workflow: 'upscale',
+        progress: 0,
+        request: {
+            ...params,
+            ...(images ? {images} : {}),
+            ...(imageUrls ? {image_urls: imageUrls} : {}),
+            ...(jobUuid ? {job_uuid: String(jobUuid)} : {}),
+        },
+        result: null,
+        error: null,
+        webhookUrl,
+        webhookKey,
+        ...queue,
     };
     db.jobs.create(job);
     return res.status(202).json({uuid: id});
 });
 
 api.post('/v1/florence', (req, res) => {
-    const {webhookUrl = null, webhookKey = null, imageUrl, mode, task, prompt} = req.body || {};
+    const {webhookUrl = null, webhookKey = null, imageUrl, mode, task, prompt, model} = req.body || {};
     if (!imageUrl || !task) {
         return res.status(400).json({error: 'imageUrl and task are required'});
     }
+    const resolved = florenceTasks.resolveRequest({task, mode, prompt, model});
+    if (resolved.error) return res.status(400).json({error: resolved.error});
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
     const id = uuidv4();
     const job = {
         uuid: id,
@@ -188,24 +482,36 @@ api.post('/v1/florence', (req, res) => {
         request: {
             type: 'florence',
             imageUrl: String(imageUrl),
-            mode: mode ? String(mode) : undefined,
-            task: String(task),
+            mode: resolved.task.mode,
+            task: resolved.task.name,
             prompt: prompt == null ? '' : String(prompt),
+            model: resolved.model,
         },
         result: null,
         error: null,
         webhookUrl,
         webhookKey,
+        ...queue,
     };
     db.jobs.create(job);
     return res.status(202).json({uuid: id});
 });
 
+api.get('/v1/florence/tasks', (_req, res) => {
+    return res.json({
+        tasks: florenceTasks.TASKS.map(({name, token, mode, output, prompt}) => ({
+            name, token, mode, output, prompt_required: prompt,
+        })),
+        models: florenceTasks.getModels(),
+        default_model: florenceTasks.getDefaultModel(),
+    });
+});
+
 api.post('/v1/assets/download', (req, res) => {
-    const {kind, url} = req.body || {};
+    const {kind, url, token, sha256, force = false} = req.body || {};
     const k = String(kind || '').toLowerCase();
-    if (k !== 'model' && k !== 'lora') {
-        return res.status(400).json({error: "kind must be 'model' or 'lora'"});
+    if (!assetKinds.isAssetKind(k)) {
+        return res.status(400).json({error: `kind must be one of ${assetKinds.KINDS.join(', ')}`});
     }
     if (!url || typeof url !== 'string') {
         return res.status(400).json({error: 'url is required'});
@@ -216,21 +522,62 @@ api.post('/v1/assets/download', (req, res) => {
     if (String(url).toLowerCase().startsWith('urn:air:') && !normalizedUrl) {
         return res.status(400).json({error: 'Invalid AIR tag. Expected civitai provider with model@version.'});
     }
+    const civitai = isCivitaiUrl(normalizedUrl);
+    const sourceUrl = civitai ? normalizedUrl : directDownload.normalizeDirectUrl(normalizedUrl);
+    if (!civitai) {
+        const invalid = directDownload.validateDirectUrl(sourceUrl);
+        if (invalid) return res.status(400).json({error: invalid});
+    }
+    if (token != null && typeof token !== 'string') {
+        return res.status(400).json({error: 'token must be a string'});
+    }
+    if (sha256 != null && !/^[0-9a-f]{64}$/i.test(String(sha256))) {
+        return res.status(400).json({error: 'sha256 must be 64 hex characters'});
+    }
+    if (typeof force !== 'boolean') {
+        return res.status(400).json({error: 'force must be a boolean'});
+    }
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
+
+    // Same CivitAI version, URL or file content: hand out the existing asset or download job.
+    // They only stand in for this request if they are of the same kind; force replaces the file in place,
+    // so it cannot move an asset to another kind either.
+    const sourceKey = assetSourceKey(sourceUrl);
+    const existing = db.assets.findBySourceKey(sourceKey) || (sha256 && !force ? db.assets.findBySha256(sha256) : null);
+    if (existing && existing.kind !== k) {
+        return res.status(409).json({error: `This file is already stored as ${existing.kind} asset ${existing.id}`, asset: existing});
+    }
+    const running = db.jobs.findActiveDownload(sourceKey);
+    if (running && running.kind !== k) {
+        return res.status(409).json({error: `This file is already being downloaded as ${running.kind} (job ${running.uuid})`});
+    }
+    if (!force) {
+        if (existing) return res.status(200).json({existing: true, asset: existing});
+        if (running) return res.status(202).json({uuid: running.uuid, existing: true});
+    }
 
     const id = uuidv4();
     const job = {
         uuid: id,
         status: 'pending',
-        workflow: isCivitaiUrl(normalizedUrl) ? 'civitai-download' : 'asset-download',
+        workflow: civitai ? 'civitai-download' : 'asset-download',
         progress: 0,
         request: {
             kind: k,
-            source_url: normalizedUrl,
+            source_url: sourceUrl,
+            source_key: sourceKey,
+            ...(force ? {force: true} : {}),
+            // Sent as bearer token with generic downloads; CivitAI downloads use CIVIT_AI_TOKEN
+            ...(token && !civitai ? {auth_token: token} : {}),
+            // CivitAI downloads are verified against the hash CivitAI publishes
+            ...(sha256 && !civitai ? {sha256: String(sha256).toLowerCase()} : {}),
         },
         result: null,
         error: null,
         webhookUrl: null,
         webhookKey: null,
+        ...queue,
     };
     db.jobs.create(job);
     // Return the job uuid; further metadata (name, image_url, min/max, etc.) can be set via future edits/endpoints.
@@ -245,10 +592,105 @@ api.get('/v1/assets/:id', (req, res) => {
     return res.json(rest);
 });
 
+// Imports files copied into the asset directories by hand; one scan at a time
+api.post('/v1/assets/scan', (req, res) => {
+    const {kinds} = req.body || {};
+    if (kinds != null && (!Array.isArray(kinds) || kinds.some((k) => !assetKinds.isAssetKind(k)))) {
+        return res.status(400).json({error: `kinds must be an array of ${assetKinds.KINDS.join(', ')}`});
+    }
+    const running = db.jobs.findActive('asset-scan');
+    if (running) return res.status(202).json({uuid: running, existing: true});
+    const queue = parseQueueOptions(req);
+    if (queue.error) return res.status(400).json({error: queue.error});
+
+    const id = uuidv4();
+    db.jobs.create({
+        uuid: id,
+        status: 'pending',
+        workflow: 'asset-scan',
+        progress: 0,
+        request: kinds && kinds.length ? {kinds} : {},
+        result: null,
+        error: null,
+        webhookUrl: null,
+        webhookKey: null,
+        ...queue,
+    });
+    return res.status(202).json({uuid: id});
+});
+
+// Editable fields: name, example_prompt, min/max weights and filename (renames the file and its preview)
+api.patch('/v1/assets/:id', async (req, res) => {
+    const asset = db.assets.get(req.params.id);
+    if (!asset) return res.status(404).json({error: 'Not found'});
+    const body = req.body || {};
+    const changes = {};
+    for (const field of ['name', 'example_prompt']) {
+        if (!(field in body)) continue;
+        if (body[field] !== null && typeof body[field] !== 'string') {
+            return res.status(400).json({error: `${field} must be a string or null`});
+        }
+        changes[field] = body[field] === null ? null : body[field].trim() || null;
+    }
+    for (const field of ['min', 'max']) {
+        if (!(field in body)) continue;
+        if (typeof body[field] !== 'number' || !Number.isFinite(body[field])) {
+            return res.status(400).json({error: `${field} must be a number`});
+        }
+        changes[field] = body[field];
+    }
+    const min = changes.min ?? asset.min;
+    const max = changes.max ?? asset.max;
+    if (min > max) return res.status(400).json({error: 'min must not be greater than max'});
+
+    let fileName = null;
+    if ('filename' in body) {
+        if (!asset.local_path) return res.status(409).json({error: 'Asset has no file to rename'});
+        const resolved = assetFiles.resolveFileName(asset.local_path, body.filename);
+        if (resolved.error) return res.status(400).json({error: resolved.error});
+        fileName = resolved.fileName;
+    }
+    if (Object.keys(changes).length === 0 && !fileName) {
+        return res.status(400).json({error: 'Nothing to update (name, example_prompt, min, max, filename)'});
+    }
+
+    if (fileName) {
+        const running = asset.source_key ? db.jobs.findActiveDownload(asset.source_key) : null;
+        if (running) return res.status(409).json({error: `Asset is being downloaded again (job ${running.uuid})`});
+        try {
+            changes.local_path = await assetFiles.renameAssetFile(asset.local_path, fileName);
+        } catch (e) {
+            if (e.status) return res.status(e.status).json({error: e.message});
+            throw e;
+        }
+    }
+    db.assets.update(asset.id, changes);
+    if (fileName) await assetFiles.refreshBackends(asset.kind);
+    return res.json(db.assets.get(asset.id));
+});
+
+api.delete('/v1/assets/:id', async (req, res) => {
+    const asset = db.assets.get(req.params.id);
+    if (!asset) return res.status(404).json({error: 'Not found'});
+    const running = asset.source_key ? db.jobs.findActiveDownload(asset.source_key) : null;
+    if (running) return res.status(409).json({error: `Asset is being downloaded again (job ${running.uuid})`});
+    // The row goes first: leftover files are harmless, a row pointing at missing files is not
+    db.assets.delete(asset.id);
+    if (asset.local_path) {
+        try {
+            await assetFiles.removeAssetFiles(asset.local_path);
+        } catch (e) {
+            log.warn('Could not remove all files of deleted asset', asset.id, asset.local_path, e.message);
+        }
+    }
+    await assetFiles.refreshBackends(asset.kind);
+    return res.status(204).end();
+});
+
 api.get('/v1/assets', (req, res) => {
     const kind = req.query && req.query.kind ? String(req.query.kind).toLowerCase() : null;
-    if (kind && kind !== 'model' && kind !== 'lora') {
-        return res.status(400).json({error: "kind must be 'model' or 'lora'"});
+    if (kind && !assetKinds.isAssetKind(kind)) {
+        return res.status(400).json({error: `kind must be one of ${assetKinds.KINDS.join(', ')}`});
     }
     const list = db.assets.list(kind || undefined);
     return res.json(list);
@@ -261,6 +703,24 @@ api.get('/v1/jobs', (_req, res) => {
         workflow: r.workflow,
         retry_count: r.retry_count,
         progress: r.progress,
+        next_attempt_at: r.next_attempt_at || null,
+        priority: r.priority,
+        client: r.client,
+        queue_position: r.queue_position,
+        run_at: r.run_at,
+        created_at: r.created_at || null,
+    }));
+    return res.json(list);
+});
+
+api.get('/v1/jobs/scheduled', (_req, res) => {
+    const list = db.jobs.listScheduled().map((r) => ({
+        uuid: r.uuid,
+        job_status: r.status,
+        workflow: r.workflow,
+        priority: r.priority,
+        client: r.client,
+        run_at: r.run_at,
         created_at: r.created_at || null,
     }));
     return res.json(list);
@@ -281,25 +741,80 @@ api.get('/v1/jobs/:uuid', (req, res) => {
         uuid: job.uuid,
         job_status: job.status,
         progress: job.progress,
+        retry_count: job.retry_count,
+        next_attempt_at: job.next_attempt_at || null,
+        failed_step: job.failed_step || null,
+        run_at: job.run_at || null,
+        backend: (job.result && job.result.backend) || null,
+        batch_uuid: job.batch_uuid || null,
         images,
         info,
     };
+    if (job.workflow === 'pipeline') {
+        const stages = (job.request && job.request.stages) || [];
+        const results = (job.result && job.result.stages) || [];
+        // Stage being worked on (1-based); the last stage once all are done
+        const current = Math.min(results.length + 1, stages.length);
+        payload.stage = {
+            current,
+            total: stages.length,
+            type: stages[current - 1] ? stages[current - 1].type : null,
+        };
+        payload.stages = results;
+    }
+    if (job.workflow === 'florence') {
+        payload.text = (job.result && job.result.text) || null;
+        payload.image = (job.result && job.result.image) || null;
+        payload.output = (job.result && job.result.output) || null;
+    }
+    if (job.workflow === 'asset-scan') {
+        payload.scan = job.result || null;
+    }
     return res.json(payload);
 });
 
+api.post('/v1/jobs/:uuid/retry', (req, res) => {
+    const {restart_from: restartFrom = 'failed'} = req.body || {};
+    if (restartFrom !== 'failed' && restartFrom !== 'pending') {
+        return res.status(400).json({error: "restart_from must be 'failed' or 'pending'"});
+    }
+
+    const job = db.jobs.get(req.params.uuid);
+    if (!job) return res.status(404).json({error: 'Not found'});
+    if (job.status !== 'error') {
+        return res.status(409).json({error: `Only failed jobs can be retried (job_status is "${job.status}")`});
+    }
+
+    const status = restartFrom === 'pending' ? 'pending' : job.failed_step;
+    const workflow = workflows[job.workflow];
+    if (!status || !workflow || !workflow[status]) {
+        return res.status(409).json({error: "The failed step of this job is unknown; retry with restart_from 'pending'"});
+    }
+
+    // A restart runs every step again: results of completed steps (e.g. pipeline stages) are dropped
+    if (!db.jobs.retry(job.uuid, status, {clearResult: restartFrom === 'pending'})) {
+        return res.status(409).json({error: 'Job changed while retrying; try again'});
+    }
+    return res.status(202).json({uuid: job.uuid});
+});
+
 api.delete('/v1/jobs/:uuid', (req, res) => {
+    const job = db.jobs.get(req.params.uuid);
     const ok = db.jobs.cancel(req.params.uuid);
     if (!ok) return res.status(404).end();
+    // Canceling the last open job of a batch finishes the batch
+    if (job && job.batch_uuid) db.batches.finalize(job.batch_uuid);
     return res.status(204).end();
 });
 
 api.get('/v1/sd-models', async (_req, res) => {
     try {
         // If base not configured, return empty list per spec shape
-        if (!process.env.AUTOMATIC1111_API_BASE) return res.json({models: []});
+        if (!a1111.isConfigured()) return res.json({models: []});
         const models = await a1111.listSdModels();
-        // Pass-through array as-is, but wrap to match our spec { models: [] }
-        return res.json(Array.isArray(models) ? models : []);
+        // A1111's entries with the metadata of the matching asset under `civitai`
+        const list = Array.isArray(models) ? models : [];
+        return res.json(modelCatalog.mergeAssets(list, db.assets.list('model'), modelCatalog.modelFile));
     } catch (e) {
         // On error, degrade gracefully to empty list to keep API stable
         return res.json([]);
@@ -307,46 +822,64 @@ api.get('/v1/sd-models', async (_req, res) => {
 });
 
 
-api.get('/v1/sd-models/:modelId', (req, res) => {
-    return res.status(404).json({error: 'Model not found'});
+// modelId: title, model_name, hash or sha256 as reported by A1111
+api.get('/v1/sd-models/:modelId', async (req, res) => {
+    if (!a1111.isConfigured()) return res.status(404).json({error: 'Model not found'});
+    let models;
+    try {
+        models = await a1111.listSdModels();
+    } catch (e) {
+        return res.status(502).json({error: `Could not list models: ${e.message}`});
+    }
+    const model = modelCatalog.findModel(Array.isArray(models) ? models : [], req.params.modelId);
+    if (!model) return res.status(404).json({error: 'Model not found'});
+    const [merged] = modelCatalog.mergeAssets([model], db.assets.list('model'), modelCatalog.modelFile);
+    return res.json(merged);
 });
 api.get('/v1/loras', async (_req, res) => {
     try {
-        if (!process.env.AUTOMATIC1111_API_BASE) return res.json({loras: []});
+        if (!a1111.isConfigured()) return res.json({loras: []});
         const loras = await a1111.listLoras();
-        return res.json(Array.isArray(loras) ? loras : []);
+        const list = Array.isArray(loras) ? loras : [];
+        return res.json(modelCatalog.mergeAssets(list, db.assets.list('lora'), modelCatalog.loraFile));
     } catch (_e) {
         return res.json([]);
     }
 });
 
-api.get('/v1/loras/:loraId', (req, res) => {
-    return res.status(404).json({error: 'LoRa not found'});
+// loraId: name or alias as reported by A1111
+api.get('/v1/loras/:loraId', async (req, res) => {
+    if (!a1111.isConfigured()) return res.status(404).json({error: 'LoRa not found'});
+    let loras;
+    try {
+        loras = await a1111.listLoras();
+    } catch (e) {
+        return res.status(502).json({error: `Could not list LoRas: ${e.message}`});
+    }
+    const lora = modelCatalog.findLora(Array.isArray(loras) ? loras : [], req.params.loraId);
+    if (!lora) return res.status(404).json({error: 'LoRa not found'});
+    const [merged] = modelCatalog.mergeAssets([lora], db.assets.list('lora'), modelCatalog.loraFile);
+    return res.json(merged);
 });
 
 api.get('/v1/workflows', (_req, res) => {
     const workflowsData = [];
 
-    // Transform the workflows object into the required format
     for (const [workflowName, workflow] of Object.entries(workflows)) {
-        // Extract all steps from the workflow
+        // steps: the states of the success path from 'pending', kept for existing clients
         const steps = ['pending'];
         let currentStep = 'pending';
+        const visited = new Set();
 
-        // Follow the workflow chain to collect all steps
-        while (workflow[currentStep]) {
+        while (workflow[currentStep] && !visited.has(currentStep)) {
+            visited.add(currentStep);
             steps.push(workflow[currentStep].process);
-            if (workflow[currentStep].success) {
-                steps.push(workflow[currentStep].success);
-                currentStep = workflow[currentStep].success;
-            } else {
-                break;
-            }
+            steps.push(workflow[currentStep].success);
+            currentStep = workflow[currentStep].success;
         }
 
-        // Add the workflow to the response
         workflowsData.push({
-            workflow: workflowName,
+            ...describeWorkflow(workflowName, workflow),
             steps: [...new Set(steps)] // Remove duplicates
         });
     }
@@ -356,7 +889,7 @@ api.get('/v1/workflows', (_req, res) => {
 
 api.get('/v1/options', async (_req, res) => {
     try {
-        if (!process.env.AUTOMATIC1111_API_BASE) {
+        if (!a1111.isConfigured()) {
             return res.status(503).json({error: 'AUTOMATIC1111_API_BASE not configured'});
         }
         const options = await a1111.getOptions();
@@ -369,7 +902,7 @@ api.get('/v1/options', async (_req, res) => {
 
 api.post('/v1/options', async (req, res) => {
     try {
-        if (!process.env.AUTOMATIC1111_API_BASE) {
+        if (!a1111.isConfigured()) {
             return res.status(503).json({error: 'AUTOMATIC1111_API_BASE not configured'});
         }
         const resp = await a1111.setOptions(req.body || {});
@@ -384,8 +917,10 @@ api.post('/v1/options', async (req, res) => {
 app.use('/sdapi', api);
 
 async function startup() {
+    loadWorkflowConfig(workflows);
     await runMigrations(getDb());
     app.locals.db = db = initDb();
+    a1111.startHealthChecks();
 
     app.listen(PORT, () => {
         console.log(`✅ Server ready on ${PORT}`);
@@ -2,17 +2,152 @@
 // Minimal single-threaded polling worker with SQLite leasing
 
 require('dotenv').config();
+const os = require('os');
+const crypto = require('crypto');
 const {initDb} = require('./libs/db');
 const Workflows = require('./processors/workflows');
+const {loadWorkflowConfig} = require('./processors/workflowLoader');
 const ProcessorFactory = require('./processors/factory');
+const a1111 = require('./libs/a1111');
 const createLogger = require('./libs/logger');
 const log = createLogger('worker');
 const {sleep} = require('./libs/sleep');
+const {default: CanceledError} = require('./errors/canceled-error');
+const {default: StepTimeoutError} = require('./errors/timeout-error');
+const {default: LeaseLostError} = require('./errors/lease-lost-error');
+const {resolveRetryPolicy, isRetryableError, nextAttemptAt} = require('./libs/retry');
 
 // Initialize DB connection early to fail fast on config errors
 const db = initDb();
+// Adds the workflows from WORKFLOWS_DIR; throws (and stops the worker) on invalid definitions
+loadWorkflowConfig(Workflows);
 
 const POLL_MS = process.env.WORKER_POLL_MS ? Number(process.env.WORKER_POLL_MS) : 2000;
+const LEASE_MS = process.env.WORKER_LEASE_MS ? Number(process.env.WORKER_LEASE_MS) : 60_000;
+const CANCEL_POLL_MS = 1000;
+// An active job whose lease has been expired this long is considered abandoned by a crashed worker
+const STALE_JOB_MS = process.env.WORKER_STALE_JOB_MS ? Number(process.env.WORKER_STALE_JOB_MS) : 5 * 60_000;
+const REAP_INTERVAL_MS = process.env.WORKER_REAP_INTERVAL_MS ? Number(process.env.WORKER_REAP_INTERVAL_MS) : 60_000;
+// How long an aborted processor (timeout, cancellation, lost lease) gets to wind down before the worker moves on
+const ABORT_GRACE_MS = process.env.WORKER_ABORT_GRACE_MS ? Number(process.env.WORKER_ABORT_GRACE_MS) : 30_000;
+// Delay before a job that found no healthy backend is offered again; does not count as a retry
+const BACKEND_RETRY_MS = 30_000;
+// Unique per process so two containers on the same host never share a lease owner
+const WORKER_ID = process.env.WORKER_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Keep the lease alive while a processor is running; returns a stop function
+// A lost lease means the job was reaped and may already run on another worker: the processor is aborted.
+function startHeartbeat(jobUuid, controller) {
+  const timer = setInterval(() => {
+    try {
+      if (!db.jobs.renewLease(jobUuid, WORKER_ID, LEASE_MS)) {
+        log.warn('Lost lease on job', jobUuid, '- stopping it');
+        clearInterval(timer);
+        controller.abort(new LeaseLostError(`Lease on job ${jobUuid} was lost`));
+      }
+    } catch (e) {
+      log.warn('Lease renewal failed for job', jobUuid, e?.message || e);
+    }
+  }, Math.max(1000, Math.floor(LEASE_MS / 3)));
+  return () => clearInterval(timer);
+}
+
+// Abort the running processor as soon as the job gets canceled through the API; returns a stop function
+function watchCancellation(jobUuid, controller) {
+  const timer = setInterval(() => {
+    try {
+      if (db.jobs.getStatus(jobUuid) === 'canceled') {
+        log.info('Job canceled while running', jobUuid);
+        controller.abort(new CanceledError(`Job ${jobUuid} was canceled`));
+      }
+    } catch (e) {
+      log.warn('Cancellation check failed for job', jobUuid, e?.message || e);
+    }
+  }, CANCEL_POLL_MS);
+  return () => clearInterval(timer);
+}
+
+// Abort the running processor once the step's timeoutMs elapses; returns a stop function
+function enforceTimeout(jobUuid, workflowStep, controller) {
+  if (!workflowStep.timeoutMs) return () => {};
+  const timer = setTimeout(() => {
+    log.warn('Step timed out for job', jobUuid, workflowStep.process, 'after', workflowStep.timeoutMs, 'ms');
+    controller.abort(new StepTimeoutError(`timeout: step "${workflowStep.process}" did not finish within ${workflowStep.timeoutMs} ms`));
+  }, workflowStep.timeoutMs);
+  return () => clearTimeout(timer);
+}
+
+// Wait up to ABORT_GRACE_MS for an aborted processor to stop, so its work does not overlap the next job
+async function waitForAbortedProcessor(running, jobUuid) {
+  let timer;
+  const stopped = await Promise.race([
+    running.then(() => true, () => true),
+    new Promise((resolve) => { timer = setTimeout(() => resolve(false), ABORT_GRACE_MS); }),
+  ]);
+  clearTimeout(timer);
+  if (!stopped) {
+    log.error('Processor of job', jobUuid, 'ignored its abort and is still running after', ABORT_GRACE_MS,
+      'ms; moving on, its work may overlap the next job and its result is discarded');
+  }
+}
+
+// Run a processor; once the signal aborts, fail with the abort reason after the processor stopped
+// (or the grace period ran out), even if the processor ignores the signal
+async function runProcessor(processor, job, setProgress, signal) {
+  const running = processor.run(job, setProgress, signal);
+  running.catch(() => {}); // late failures after an abort are irrelevant
+  const aborted = new Promise((_resolve, reject) => {
+    signal.addEventListener('abort', () => reject(signal.reason), {once: true});
+  });
+  try {
+    return await Promise.race([running, aborted]);
+  } catch (error) {
+    if (signal.aborted) await waitForAbortedProcessor(running, job.uuid);
+    throw error;
+  }
+}
+
+// Map each workflow's active (process) states back to the waiting state that leads into them
+function buildWaitingStateIndex() {
+  const index = {};
+  for (const [workflowKey, workflow] of Object.entries(Workflows)) {
+    index[workflowKey] = {};
+    for (const [waitingState, step] of Object.entries(workflow)) {
+      if (!(step.process in index[workflowKey])) index[workflowKey][step.process] = waitingState;
+    }
+  }
+  return index;
+}
+
+const waitingStateIndex = buildWaitingStateIndex();
+const activeStates = [...new Set(Object.values(waitingStateIndex).flatMap((states) => Object.keys(states)))];
+
+// "<workflow>:<waiting state>" of every step that needs an Automatic1111 backend
+const automatic1111Steps = Object.entries(Workflows).flatMap(([workflowKey, workflow]) =>
+  Object.entries(workflow)
+    .filter(([, step]) => ProcessorFactory.usesAutomatic1111(step.process))
+    .map(([waitingState]) => `${workflowKey}:${waitingState}`));
+
+// Recovery pass for jobs left in an active state after their worker crashed
+function reapStaleJobs() {
+  const staleJobs = db.jobs.listStale(activeStates, STALE_JOB_MS);
+  for (const job of staleJobs) {
+    const waitingState = waitingStateIndex[job.workflow]?.[job.status];
+    if (!waitingState) continue;
+
+    const policy = resolveRetryPolicy(Workflows[job.workflow][waitingState]);
+    const retryCount = (job.retry_count || 0) + 1;
+
+    if (retryCount >= policy.maxAttempts) {
+      const message = `Job abandoned in "${job.status}" and out of retries`;
+      if (db.jobs.failStale(job.uuid, job.status, message, STALE_JOB_MS, waitingState)) {
+        log.warn('Marked stale job as error', job.uuid, job.status);
+      }
+    } else if (db.jobs.requeueStale(job.uuid, job.status, waitingState, STALE_JOB_MS, nextAttemptAt(retryCount, policy))) {
+      log.warn('Requeued stale job', job.uuid, job.status, '->', waitingState);
+    }
+  }
+}
 
 async function processNextJob(job) {
   const workflowKey = job.workflow;
@@ -21,45 +156,124 @@ async function processNextJob(job) {
   const originalWaitingState = job.status;
 
   if (!workflow || !workflowStep) {
-    throw new UnrecoverableError(`Unknown workflow step: story="${workflowKey}", status="${job.status}"`);
+    db.jobs.error(job.uuid, `Unknown workflow step: story="${workflowKey}", status="${job.status}"`);
+    db.jobs.releaseLease(job.uuid, WORKER_ID);
+    return;
   }
 
   const activeState = workflowStep.process;
   const processor = ProcessorFactory.createProcessor(activeState);
 
-  db.jobs.updateStatus(job.uuid, activeState);
+  // Every transition below is guarded on the current status and on our lease, so a job canceled in between
+  // stays canceled and a job that was reaped and claimed by another worker is left to that worker
+  const owner = WORKER_ID;
+  if (!db.jobs.update(job.uuid, {status: activeState}, {fromStatus: originalWaitingState, owner})) {
+    db.jobs.releaseLease(job.uuid, WORKER_ID);
+    return;
+  }
+
+  const controller = new AbortController();
+  const stopHeartbeat = startHeartbeat(job.uuid, controller);
+  const stopWatching = watchCancellation(job.uuid, controller);
+  const stopTimeout = enforceTimeout(job.uuid, workflowStep, controller);
+  const setProgress = (progress) => db.jobs.updateProgress(job.uuid, progress);
 
   try {
-    const result = await processor.run(job);
+    const result = await runProcessor(processor, job, setProgress, controller.signal);
     db.jobs.update(job.uuid, {
-      status: workflowStep.success,
+      status: workflowStep.loop && processor.hasMoreWork?.(result) ? workflowStep.loop : workflowStep.success,
       result: result,
       retry_count: 0,
       last_retry: null,
-    });
-  } catch (error) {
-    if (error.isUnrecoverable || job.retry_count >= 3) {
-      db.jobs.error(job.uuid, error.message);
+      next_attempt_at: null,
+    }, {fromStatus: activeState, owner});
+  } catch (caught) {
+    // After an abort the processor may surface a generic AbortError; the abort reason says why
+    const error = controller.signal.aborted ? controller.signal.reason : caught;
+    if (error.isCanceled) {
+      log.info('Stopped canceled job', job.uuid);
+      return;
+    }
+    if (error.isLeaseLost) {
+      log.warn('Stopped job', job.uuid, 'after losing its lease; its outcome is left to the new owner');
+      return;
+    }
+    if (error.isBackendUnavailable) {
+      // The backend is at fault, not the job: put it back without spending a retry
+      log.warn('No backend for job', job.uuid, '-', error.message);
+      db.jobs.update(job.uuid, {
+        status: originalWaitingState,
+        next_attempt_at: new Date(Date.now() + BACKEND_RETRY_MS).toISOString(),
+      }, {fromStatus: activeState, owner});
       return;
     }
 
-    const failureState = workflowStep.failure || originalWaitingState;
+    const policy = resolveRetryPolicy(workflowStep);
+    const retryCount = (job.retry_count || 0) + 1;
 
-    if (workflowStep.incrementFailureCounter !== false) {
-      db.jobs.incrementFailureCounter(job.uuid);
+    if (!isRetryableError(error, policy) || retryCount >= policy.maxAttempts) {
+      db.jobs.error(job.uuid, error.message, {fromStatus: activeState, owner, failedStep: originalWaitingState});
+      return;
     }
 
-    db.jobs.updateStatus(job.uuid, failureState);
+    const failureState = workflowStep.failure || originalWaitingState;
+    const retry = workflowStep.incrementFailureCounter !== false
+      ? {
+        retry_count: retryCount,
+        last_retry: new Date().toISOString(),
+        next_attempt_at: nextAttemptAt(retryCount, policy),
+      }
+      : {};
+
+    db.jobs.update(job.uuid, {status: failureState, ...retry}, {fromStatus: activeState, owner});
+  } finally {
+    stopTimeout();
+    stopWatching();
+    stopHeartbeat();
+    db.jobs.releaseLease(job.uuid, WORKER_ID);
+  }
+}
+
+function finalizeBatch(batchUuid) {
+  try {
+    const status = db.batches.finalize(batchUuid);
+    if (status) log.info('Batch finished', batchUuid, status);
+  } catch (e) {
+    log.error('Batch finalization failed:', batchUuid, e?.message || e);
   }
 }
 
 async function mainLoop() {
-  log.info('Worker started. Poll interval:', POLL_MS, 'ms');
+  log.info('Worker', WORKER_ID, 'started. Poll interval:', POLL_MS, 'ms, lease:', LEASE_MS, 'ms');
+  let lastReap = 0;
+  let paused = false;
   // noinspection InfiniteLoopJS
   while (true) {
+    if (Date.now() - lastReap >= REAP_INTERVAL_MS) {
+      lastReap = Date.now();
+      try {
+        reapStaleJobs();
+      } catch (e) {
+        log.error('Stale job recovery failed:', e?.message || e);
+      }
+      // Catches batches whose last job was canceled or failed outside the worker
+      try {
+        for (const uuid of db.batches.finalizeFinished()) log.info('Batch finished', uuid);
+      } catch (e) {
+        log.error('Batch finalization failed:', e?.message || e);
+      }
+    }
+    // Leave generation jobs in the queue while every backend's circuit is open
+    const backendsDown = a1111.isConfigured() && !a1111.hasAvailableBackend();
+    if (backendsDown !== paused) {
+      paused = backendsDown;
+      if (paused) log.warn('No healthy Automatic1111 backend, pausing generation jobs');
+      else log.info('Automatic1111 backend available again, resuming generation jobs');
+    }
     try {
-      const job = db.jobs.getNextReady();
+      const job = db.jobs.claimNextReady(WORKER_ID, LEASE_MS, {excludedSteps: paused ? automatic1111Steps : []});
       await processNextJob(job);
+      if (job.batch_uuid) finalizeBatch(job.batch_uuid);
     } catch (e) {
       await sleep(POLL_MS);
     }
@@ -67,8 +281,11 @@ async function mainLoop() {
 }
 
 // Validate config
-if (!process.env.AUTOMATIC1111_API_BASE) {
-  log.warn('Warning: AUTOMATIC1111_API_BASE is not set. Worker cannot process jobs.');
+if (!a1111.isConfigured()) {
+  log.warn('Warning: neither AUTOMATIC1111_BACKENDS nor AUTOMATIC1111_API_BASE is set. Worker cannot process generation jobs.');
+} else {
+  log.info('Automatic1111 backends:', a1111.getBackends().map((b) => `${b.name} (${b.capacity})`).join(', '));
+  a1111.startHealthChecks();
 }
 
 mainLoop();